@@ -0,0 +1,276 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       Contract
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Contract module.
+ * Subclass of Structure.
+ * Defines a runtime type contract, which a value either satisfies or violates.
+ * Classes declared through Structure.define describe the parameter(s) and
+ * return value of their public member(s) through 'contracts'.
+ * Contracts can be disabled for production through 'Contract.disable'.
+ */
+const Contract = (function()
+{
+    /* Determines if contracts are checked. */
+    let enabled = true;
+
+    /* Describes the type of a value which violated a contract. */
+    const describe = function(value)
+    {
+        const type = Type.of(value);
+        return type === Type.STRUCTURE ? Structure.classOf(value).getName() : type.getName();
+    };
+
+    return Structure.define({
+        name: "Contract",
+
+        /**
+         * Public constructor.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param description Description of the values which satisfy the contract.
+         * @param test Function(value) which returns true if the value satisfies the contract.
+         */
+        constructor: function(prot, priv, description, test)
+        {
+            requireArgument(Type.of(description) === Type.STRING, "Contract.new", "description must be a string.");
+            requireArgument(Type.of(test) === Type.FUNCTION, "Contract.new", "test must be a function.");
+
+            /* Description of the contract. */
+            priv.description = description;
+            /* Determines if a value satisfies the contract. */
+            priv.test = test;
+        },
+
+        publicMembers: function(prot, priv)
+        {
+            return {
+                /**
+                 * @param value Value to check.
+                 * @returns {boolean} True if the value satisfies the contract.
+                 */
+                test: function(value)
+                {
+                    return priv.test(value) === true;
+                },
+
+                /**
+                 * Override toString.
+                 * @see: Structure.toString
+                 * @returns {string} Description of the contract.
+                 */
+                toString: function()
+                {
+                    return priv.description;
+                }
+            };
+        },
+
+        statics: function(module)
+        {
+            /**
+             * Converts a type into a contract.
+             * The type is either a Contract, a Type constant, a Structure
+             * module, an Interface, or a native constructor.
+             * @see: Type.instanceOf
+             * @param type Type to convert.
+             * @returns {{}} Contract of the type.
+             */
+            const of = function(type)
+            {
+                requireArgument(Boolean(type), "Contract.of", "type must be provided.");
+                if (module.hasInstance(type))
+                    return type;
+                if (Type.hasInstance(type))
+                    return module.new(type.getName(), function(value)
+                    {
+                        return Type.of(value) === type;
+                    });
+                return module.new(Type.of(type) === Type.FUNCTION ? type.name : type.getName(), function(value)
+                {
+                    return Type.instanceOf(value, type);
+                });
+            };
+
+            return {
+                of: of,
+
+                /**
+                 * Contract which every value satisfies.
+                 */
+                any: module.new("any", function()
+                {
+                    return true;
+                }),
+
+                /**
+                 * @param type Type of the value, if provided.
+                 * @returns {{}} Contract which is also satisfied by undefined.
+                 */
+                optional: function(type)
+                {
+                    const contract = of(type);
+                    return module.new("optional " + contract, function(value)
+                    {
+                        return value === undefined || contract.test(value);
+                    });
+                },
+
+                /**
+                 * @param type Type of the value, if not null.
+                 * @returns {{}} Contract which is also satisfied by null.
+                 */
+                nullable: function(type)
+                {
+                    const contract = of(type);
+                    return module.new("nullable " + contract, function(value)
+                    {
+                        return value === null || contract.test(value);
+                    });
+                },
+
+                /**
+                 * @param types Types of the value.
+                 * @returns {{}} Contract which is satisfied by any of the types.
+                 */
+                union: function(...types)
+                {
+                    requireArgument(types.length > 0, "Contract.union", "at least one type is required.");
+                    const contracts = types.map(of);
+                    return module.new(contracts.join(" | "), function(value)
+                    {
+                        return contracts.some(function(contract)
+                        {
+                            return contract.test(value);
+                        });
+                    });
+                },
+
+                /**
+                 * @param classModule Module of a Structure class.
+                 * @returns {{}} Contract which is satisfied by instances of the class or its subclasses.
+                 */
+                instanceOf: function(classModule)
+                {
+                    requireArgument(Boolean(classModule) && Type.of(classModule.hasInstance) === Type.FUNCTION
+                        && Type.of(classModule.extend) === Type.FUNCTION,
+                        "Contract.instanceOf", "classModule must be the module of a Structure class.");
+                    return of(classModule);
+                },
+
+                /**
+                 * @param type Type of the elements.
+                 * @returns {{}} Contract which is satisfied by arrays whose elements satisfy the type.
+                 */
+                arrayOf: function(type)
+                {
+                    const contract = of(type);
+                    return module.new("Array<" + contract + ">", function(value)
+                    {
+                        return Array.isArray(value) && value.every(function(element)
+                        {
+                            return contract.test(element);
+                        });
+                    });
+                },
+
+                /**
+                 * Wraps a function so that its arguments and return value are checked.
+                 * The specification has the following members:
+                 * -> params: Optional table of the parameter names, in order, to their types.
+                 * -> returns: Optional type of the return value.
+                 * Violating arguments throw an IllegalArgumentError naming the function and the argument,
+                 * while violating return values throw an IllegalStateError.
+                 * @param name Name of the function, such as 'NumberProperty.add'.
+                 * @param specification Specification of the function.
+                 * @param callback Function to wrap.
+                 * @returns {Function} Function which enforces the specification.
+                 */
+                method: function(name, specification, callback)
+                {
+                    requireArgument(Type.of(name) === Type.STRING, "Contract.method", "name must be a string.");
+                    requireArgument(Type.of(specification) === Type.OBJECT,
+                        "Contract.method", name + " specification must be an object.");
+                    requireArgument(Type.of(callback) === Type.FUNCTION, "Contract.method", "callback must be a function.");
+
+                    const params = specification.params === undefined ? { } : specification.params;
+                    requireArgument(Type.of(params) === Type.OBJECT, "Contract.method", name + " params must be an object.");
+                    const names = Object.keys(params);
+                    const contracts = names.map(function(param)
+                    {
+                        return of(params[param]);
+                    });
+                    const returns = specification.returns === undefined ? undefined : of(specification.returns);
+
+                    return function(...args)
+                    {
+                        if (!enabled)
+                            return callback(...args);
+                        for (let i = 0; i < contracts.length; i++)
+                            if (!contracts[i].test(args[i]))
+                                throw new IllegalArgumentError(name + ": argument '" + names[i] + "' must be "
+                                    + contracts[i] + ", received " + describe(args[i]) + ".");
+                        const result = callback(...args);
+                        if (returns !== undefined && !returns.test(result))
+                            throw new IllegalStateError(name + ": must return " + returns
+                                + ", returned " + describe(result) + ".");
+                        return result;
+                    };
+                },
+
+                /**
+                 * Enables checking of contracts, which is the default.
+                 */
+                enable: function()
+                {
+                    enabled = true;
+                },
+
+                /**
+                 * Disables checking of contracts, such as in production.
+                 * Classes defined while contracts are disabled are not wrapped at all,
+                 * while functions which were already wrapped skip their checks.
+                 */
+                disable: function()
+                {
+                    enabled = false;
+                },
+
+                /**
+                 * @returns {boolean} True if contracts are checked.
+                 */
+                isEnabled: function()
+                {
+                    return enabled;
+                }
+            };
+        }
+    });
+})();
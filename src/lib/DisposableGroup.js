@@ -0,0 +1,135 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       DisposableGroup
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Disposable group module.
+ * Subclass of Structure.
+ * Defines a group of disposable objects, such as properties and bindings,
+ * which are all disposed at once when the group is disposed.
+ */
+const DisposableGroup = Structure.define({
+    name: "DisposableGroup",
+
+    /**
+     * Public constructor.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param disposables Initial member(s) of the group.
+     */
+    constructor: function(prot, priv, ...disposables)
+    {
+        /* Member(s) of the group, in order of addition. */
+        priv.disposables = new Set();
+
+        for (let d of disposables)
+            prot.this.add(d);
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * Adds a disposable object to the group.
+             * Enum constants cannot be disposed, and are therefore refused.
+             * @param disposable Object with a 'dispose' member.
+             * @returns {{}} The disposable object.
+             */
+            add: function(disposable)
+            {
+                requireArgument((Type.of(disposable) === Type.OBJECT || Type.of(disposable) === Type.STRUCTURE)
+                    && Type.of(disposable.dispose) === Type.FUNCTION,
+                    "DisposableGroup.add", "disposable must have a 'dispose' member.");
+                requireArgument(!Enum.hasInstance(disposable),
+                    "DisposableGroup.add", "Enum constants cannot be disposed.");
+                priv.disposables.add(disposable);
+                return disposable;
+            },
+
+            /**
+             * Removes a disposable object from the group, without disposing it.
+             * @param disposable Object to be removed.
+             * @returns {boolean} True if the object was a member of the group.
+             */
+            remove: function(disposable)
+            {
+                return priv.disposables.delete(disposable);
+            },
+
+            /**
+             * @returns {number} Amount of member(s) of the group.
+             */
+            size: function()
+            {
+                return priv.disposables.size;
+            },
+
+            /**
+             * Override dispose.
+             * Disposes every member of the group, in reverse order of addition.
+             * Members which are already disposed are skipped.
+             * If a member throws, the remaining members and the group are still
+             * disposed, then the first error is rethrown.
+             * @see: Structure.dispose
+             */
+            dispose: (function()
+            {
+                const dispose = instance.dispose;
+
+                return function()
+                {
+                    if (instance.isDisposed()) return;
+                    const disposables = Array.from(priv.disposables).reverse();
+                    priv.disposables.clear();
+                    let failed = false;
+                    let error;
+                    for (let d of disposables)
+                        try
+                        {
+                            if (Type.of(d.isDisposed) !== Type.FUNCTION || !d.isDisposed())
+                                d.dispose();
+                        }
+                        catch (e)
+                        {
+                            if (!failed)
+                            {
+                                failed = true;
+                                error = e;
+                            }
+                        }
+                    dispose();
+                    if (failed)
+                        throw error;
+                };
+            })()
+        };
+    }
+});
@@ -0,0 +1,109 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       Errors
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Base class of every error thrown by the library.
+ * Messages name the class and member which threw, such as 'NumberProperty.divide: ...'.
+ */
+class StructureError extends Error
+{
+    /**
+     * @param message Description of the error.
+     */
+    constructor(message)
+    {
+        super(message);
+        this.name = new.target.name;
+    }
+}
+
+/**
+ * Thrown when a member receives an argument which it does not accept.
+ */
+class IllegalArgumentError extends StructureError { }
+
+/**
+ * Thrown when a member is called while the object is in a state which does not allow it.
+ */
+class IllegalStateError extends StructureError { }
+
+/**
+ * Thrown when a bound Property is set, or bound again.
+ */
+class BoundPropertyError extends IllegalStateError { }
+
+/**
+ * Thrown when a member of a disposed instance is called.
+ */
+class DisposedError extends IllegalStateError { }
+
+/**
+ * Thrown when a concrete instance does not implement an abstract or interface member.
+ */
+class AbstractMethodError extends StructureError { }
+
+/**
+ * Thrown when a final member is overridden, or is not defined by the class which declared it.
+ */
+class FinalMemberError extends StructureError { }
+
+/**
+ * Thrown when a member does not support the operation, such as disposing an Enum constant.
+ */
+class UnsupportedOperationError extends StructureError { }
+
+/**
+ * Thrown when a value cannot be serialized or deserialized.
+ */
+class SerializationError extends StructureError { }
+
+/**
+ * Throws an IllegalArgumentError unless a condition holds.
+ * @param condition Condition which the argument must satisfy.
+ * @param source Class and member which received the argument, such as 'Property.bind'.
+ * @param message Description of the requirement.
+ */
+const requireArgument = function(condition, source, message)
+{
+    if (!condition)
+        throw new IllegalArgumentError(source + ": " + message);
+};
+
+/**
+ * Throws an IllegalStateError unless a condition holds.
+ * @param condition Condition which the state must satisfy.
+ * @param source Class and member which was called, such as 'Enum.seal'.
+ * @param message Description of the requirement.
+ */
+const requireState = function(condition, source, message)
+{
+    if (!condition)
+        throw new IllegalStateError(source + ": " + message);
+};
@@ -0,0 +1,132 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       Interface
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Interface module.
+ * Subclass of Structure.
+ * Defines a named set of public member(s) which classes can implement.
+ * Classes declare their interface(s) through 'implements' in Structure.extend,
+ * which are verified when a concrete instance of the class is constructed.
+ */
+const Interface = Structure.define({
+    name: "Interface",
+
+    /**
+     * Public constructor.
+     * The declaration has the following members:
+     * -> name: Name of the interface.
+     * -> members: Names of the public member(s) of the interface.
+     * -> extends: Optional interface(s) whose member(s) are inherited.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param declaration Declaration of the interface.
+     */
+    constructor: function(prot, priv, declaration)
+    {
+        requireArgument(Type.of(declaration) === Type.OBJECT, "Interface.new", "declaration must be an object.");
+        requireArgument(Type.of(declaration.name) === Type.STRING, "Interface.new", "name must be a string.");
+        requireArgument(Array.isArray(declaration.members),
+            "Interface.new", declaration.name + " members must be an array of member names.");
+
+        const members = new Set();
+        if (declaration.extends !== undefined)
+        {
+            requireArgument(Array.isArray(declaration.extends),
+                "Interface.new", declaration.name + " extends must be an array of Interfaces.");
+            for (let i of declaration.extends)
+            {
+                requireArgument(Interface.hasInstance(i),
+                    "Interface.new", declaration.name + " extends must be an array of Interfaces.");
+                for (let member of i.members())
+                    members.add(member);
+            }
+        }
+        for (let member of declaration.members)
+        {
+            requireArgument(Type.of(member) === Type.STRING,
+                "Interface.new", declaration.name + " members must be an array of member names.");
+            members.add(member);
+        }
+
+        /* Name of the interface. */
+        priv.name = declaration.name;
+        /* Public member(s) of the interface. */
+        priv.members = Object.freeze(Array.from(members));
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * @returns {string} Name of the interface.
+             */
+            getName: function()
+            {
+                return priv.name;
+            },
+
+            /**
+             * @returns {ReadonlyArray<string>} Names of the member(s) of the interface.
+             */
+            members: function()
+            {
+                return priv.members;
+            },
+
+            /**
+             * Determines if an object implements every member of the interface.
+             * Any object may implement an interface, not only Structure instances.
+             * @param obj Object to check.
+             * @returns {boolean} True if the object implements the interface.
+             */
+            isImplementedBy: function(obj)
+            {
+                if (Type.of(obj) !== Type.OBJECT && Type.of(obj) !== Type.STRUCTURE)
+                    return false;
+                for (let member of priv.members)
+                    if (Type.of(obj[member]) !== Type.FUNCTION)
+                        return false;
+                return true;
+            },
+
+            /**
+             * Override toString.
+             * @see: Structure.toString
+             * @returns {string} String representation of the Interface.
+             */
+            toString: function()
+            {
+                return "Interface " + instance.getName();
+            }
+        };
+    }
+});
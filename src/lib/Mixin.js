@@ -0,0 +1,122 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       Mixin
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Mixin module.
+ * Subclass of Structure.
+ * Defines a reusable set of public and protected member(s) which can be
+ * applied to a Structure subclass, without being part of its super class chain.
+ * Classes declared through Structure.define apply their mixins through 'mixins'.
+ */
+const Mixin = Structure.define({
+    name: "Mixin",
+
+    /**
+     * Public constructor.
+     * The declaration has the following members:
+     * -> name: Name of the mixin.
+     * -> constructor: Optional function(prot, state) which initializes the mixin.
+     * -> protectedMembers: Optional function(prot, state) which returns protected member(s).
+     * -> publicMembers: Optional function(prot, state) which returns public member(s).
+     * The 'state' table is private to the mixin and unique to each instance.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param declaration Declaration of the mixin.
+     */
+    constructor: function(prot, priv, declaration)
+    {
+        requireArgument(Type.of(declaration) === Type.OBJECT, "Mixin.new", "declaration must be an object.");
+        requireArgument(Type.of(declaration.name) === Type.STRING, "Mixin.new", "name must be a string.");
+
+        /* Returns the function of the declaration, if provided. */
+        const callback = function(key)
+        {
+            if (!Object.prototype.hasOwnProperty.call(declaration, key))
+                return undefined;
+            requireArgument(Type.of(declaration[key]) === Type.FUNCTION,
+                "Mixin.new", declaration.name + " " + key + " must be a function.");
+            return declaration[key];
+        };
+
+        /* Name of the mixin. */
+        priv.name = declaration.name;
+        priv.constructor = callback("constructor");
+        priv.protectedMembers = callback("protectedMembers");
+        priv.publicMembers = callback("publicMembers");
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * @returns {string} Name of the mixin.
+             */
+            getName: function()
+            {
+                return priv.name;
+            },
+
+            /**
+             * Applies the mixin to an instance under construction.
+             * Only the class of the instance has access to its protected member(s).
+             * @param target Protected member(s) of the instance.
+             */
+            apply: function(target)
+            {
+                requireArgument(Type.of(target) === Type.OBJECT && Structure.hasInstance(target.this),
+                    "Mixin.apply", "target must be the protected member(s) of a Structure.");
+                requireState(!Object.isFrozen(target.this),
+                    "Mixin.apply", priv.name + " can only be applied while the instance is constructed.");
+
+                /* State of the mixin for the instance. */
+                const state = { };
+
+                if (priv.constructor !== undefined)
+                    priv.constructor(target, state);
+                if (priv.protectedMembers !== undefined)
+                    Object.assign(target, priv.protectedMembers(target, state));
+                if (priv.publicMembers !== undefined)
+                    Object.assign(target.this, priv.publicMembers(target, state));
+            },
+
+            /**
+             * Override toString.
+             * @see: Structure.toString
+             * @returns {string} String representation of the Mixin.
+             */
+            toString: function()
+            {
+                return "Mixin " + instance.getName();
+            }
+        };
+    }
+});
@@ -37,24 +37,201 @@ const Structure = (function()
     /* Module design pattern. */
     const module = { };
 
+    /* Registry of every class created through 'extend', in order of creation. */
+    const classes = [ ];
+    /* Map which associates instances with the class which created them. */
+    const classMap = new WeakMap();
+    /* Identity hash code of the next Structure instance. */
+    let nextHashCode = 0;
+    /* Serializers of classes, by class module and by type tag. */
+    const serializers = new Map();
+    const tags = new Map();
+    /* Instances which have been disposed. */
+    const disposed = new WeakSet();
+    /* Map which associates instances with their final member(s), by the name of the class which declared them. */
+    const finals = new WeakMap();
+    /* Public member(s) which remain callable once an instance is disposed, 'unbind' being released by 'dispose'. */
+    const lifecycle = new Set([ "dispose", "isDisposed", "unbind", "toString", "equals", "hashCode" ]);
+
+    /**
+     * Wraps a public member so that it fails fast once the instance is disposed.
+     * @param instance Object instance of the member.
+     * @param member Name of the member.
+     * @param callback Function of the member.
+     * @returns {Function} Guarded function of the member.
+     */
+    const guard = function(instance, member, callback)
+    {
+        if (lifecycle.has(member)) return callback;
+
+        return function(...args)
+        {
+            if (disposed.has(instance))
+                throw new DisposedError(classMap.get(instance).getName() + "." + member
+                    + ": cannot be called once the instance is disposed.");
+            return callback(...args);
+        };
+    };
+
+    /**
+     * Locks the final member(s) of a class onto an instance.
+     * Final members are redefined as non-configurable accessors,
+     * so they can no longer be deleted or replaced by a subclass.
+     * Either attempt throws an error naming the class and the member.
+     * @see: guard
+     * @param instance Object instance to lock.
+     * @param protectedStatic Protected static member(s) of the class which declared the member(s).
+     */
+    const lock = function(instance, protectedStatic)
+    {
+        if (protectedStatic.final === undefined) return;
+
+        for (let member of protectedStatic.final)
+        {
+            const descriptor = Object.getOwnPropertyDescriptor(instance, member);
+            if (descriptor === undefined || typeof descriptor.value !== "function")
+            {
+                /* Already locked by a super class. */
+                if (descriptor !== undefined && !descriptor.configurable) continue;
+                throw new FinalMemberError(protectedStatic.name + ": does not define final member '" + member + "'.");
+            }
+
+            const value = guard(instance, member, descriptor.value);
+            Object.defineProperty(instance, member, {
+                enumerable: true,
+                configurable: false,
+                get: function()
+                {
+                    return value;
+                },
+                set: function()
+                {
+                    throw new FinalMemberError(protectedStatic.name + "." + member + ": is final and cannot be overridden.");
+                }
+            });
+            if (!finals.has(instance))
+                finals.set(instance, new Map());
+            finals.get(instance).set(member, protectedStatic.name);
+        }
+    };
+
     /**
      * Enables a class to support subclassing.
      * A subclass in this context is one which has access to protected static
      * member(s) of the super class (including super classes' protected constructor).
+     * The optional declaration describes the class being created:
+     * -> name: Name of the class, used in error messages.
+     * -> abstract: Names of public member(s) which concrete subclasses must implement.
+     * -> final: Names of public member(s) which subclasses cannot override or delete.
+     * -> implements: Interface(s) which concrete instances of the class must implement.
+     * -> intercept: Function(s)(instance, callback) by public member name, which wrap the member of
+     *    concrete instances, whichever subclass implements it, and return the wrapped function.
      * @param module Submodule to support the extension.
      * @param superProtectedStatic Protected static member(s) of the super class.
+     * @param declaration Optional declaration of the class.
      * @returns {{private: private, protected: {new: new, protected: protected, super: *}}} Private static member(s).
      */
-    const extend = function(module, superProtectedStatic)
+    const extend = function(module, superProtectedStatic, declaration)
     {
-        assert(Boolean(module));
-        assert(typeof module === "object");
-        assert(!Object.isSealed(module));
-        assert(!Object.isFrozen(module));
-        assert(Boolean(superProtectedStatic));
-        assert(typeof superProtectedStatic === "object");
+        requireArgument(module !== null && typeof module === "object"
+            && !Object.isSealed(module) && !Object.isFrozen(module),
+            "Structure.extend", "module must be an object which is neither sealed nor frozen.");
+        requireArgument(superProtectedStatic !== null && typeof superProtectedStatic === "object",
+            "Structure.extend", "protected static member(s) of the super class must be an object.");
         /* Classes must be concrete to be extended. */
-        assert(Object.isFrozen(superProtectedStatic));
+        requireState(Object.isFrozen(superProtectedStatic),
+            "Structure.extend", "the super class must be concrete to be extended.");
+        if (declaration === undefined)
+            declaration = { };
+        requireArgument(declaration !== null && typeof declaration === "object",
+            "Structure.extend", "declaration must be an object.");
+
+        /* Name of the class. */
+        const name = declaration.name === undefined ? "Structure" : declaration.name;
+        requireArgument(typeof name === "string", "Structure.extend", "name must be a string.");
+
+        /* Abstract member(s) of the class, including those inherited from the super class. */
+        const abstract = (function()
+        {
+            const names = new Set(superProtectedStatic.abstract);
+            if (declaration.abstract !== undefined)
+            {
+                requireArgument(Array.isArray(declaration.abstract),
+                    name + ".extend", "abstract must be an array of member names.");
+                for (let member of declaration.abstract)
+                {
+                    requireArgument(typeof member === "string",
+                        name + ".extend", "abstract must be an array of member names.");
+                    names.add(member);
+                }
+            }
+
+            return Object.freeze(Array.from(names));
+        })();
+
+        /* Final member(s) declared by the class. */
+        const final = (function()
+        {
+            if (declaration.final === undefined)
+                return Object.freeze([ ]);
+            requireArgument(Array.isArray(declaration.final),
+                name + ".extend", "final must be an array of member names.");
+            for (let member of declaration.final)
+            {
+                requireArgument(typeof member === "string",
+                    name + ".extend", "final must be an array of member names.");
+                /* Abstract members must be overridden. */
+                requireArgument(!abstract.includes(member),
+                    name + ".extend", "abstract member '" + member + "' cannot be final.");
+            }
+
+            return Object.freeze(Array.from(new Set(declaration.final)));
+        })();
+
+        /* Interface(s) of the class, including those inherited from the super class. */
+        const interfaces = (function()
+        {
+            const set = new Set(superProtectedStatic.interfaces);
+            if (declaration.implements !== undefined)
+            {
+                requireArgument(Array.isArray(declaration.implements),
+                    name + ".extend", "implements must be an array of Interfaces.");
+                for (let i of declaration.implements)
+                {
+                    requireArgument(Interface.hasInstance(i),
+                        name + ".extend", "implements must be an array of Interfaces.");
+                    set.add(i);
+                }
+            }
+
+            return Object.freeze(Array.from(set));
+        })();
+
+        /* Interceptor(s) of the class, after those inherited from the super class. */
+        const interceptors = (function()
+        {
+            const list = superProtectedStatic.interceptors === undefined
+                ? [ ] : superProtectedStatic.interceptors.slice();
+            if (declaration.intercept !== undefined)
+            {
+                requireArgument(declaration.intercept !== null && typeof declaration.intercept === "object",
+                    name + ".extend", "intercept must be an object.");
+                for (let member of Object.keys(declaration.intercept))
+                {
+                    requireArgument(typeof declaration.intercept[member] === "function",
+                        name + ".extend", "interceptor of '" + member + "' must be a function.");
+                    requireArgument(!final.includes(member),
+                        name + ".extend", "final member '" + member + "' cannot be intercepted.");
+                    /* Final member(s) inherited from the super classes are locked before the interceptor(s) run. */
+                    for (let s = superProtectedStatic; s !== undefined; s = s.super)
+                        requireArgument(s.final === undefined || !s.final.includes(member),
+                            name + ".extend", "final member '" + member + "' of " + s.name + " cannot be intercepted.");
+                    list.push(Object.freeze({ member: member, callback: declaration.intercept[member] }));
+                }
+            }
+
+            return Object.freeze(list);
+        })();
 
         /* Maps which associate public instances with their protected & private member(s). */
         const protectedMap = new WeakMap();
@@ -66,12 +243,44 @@ const Structure = (function()
          */
         const hasInstance = function(instance)
         {
-            assert(Boolean(instance));
-            assert(typeof instance === "object");
             return privateMap.has(instance);
         };
         module.hasInstance = hasInstance;
 
+        /* Public member(s) of the class, recorded when the first instance is constructed. */
+        let declared = undefined;
+        /* Public member(s) inherited by the first instance, until its construction completes. */
+        const inherited = new WeakMap();
+
+        /**
+         * @returns {string} Name of the class.
+         */
+        module.getName = function()
+        {
+            return name;
+        };
+
+        /**
+         * @returns {{}|null} Module of the super class, null for the root of the hierarchy.
+         */
+        module.getSuperclass = function()
+        {
+            return superProtectedStatic.module === undefined ? null : superProtectedStatic.module;
+        };
+
+        /**
+         * Public member(s) which the class added or overrode, relative to its super class.
+         * Members of closure-based objects only exist once they are constructed,
+         * so the list is empty until an instance of the class (or a subclass) is constructed.
+         * @returns {ReadonlyArray<string>} Names of the declared member(s).
+         */
+        module.getDeclaredMembers = function()
+        {
+            return declared === undefined ? Object.freeze([ ]) : declared;
+        };
+
+        classes.push(module);
+
         /* Protected static member(s) of the class. */
         const protectedStatic = {
             /**
@@ -79,6 +288,7 @@ const Structure = (function()
              * The protected table returned has the following members:
              * -> this: A reference to the object instance.
              * -> super: A reference to the super classes' protected member(s).
+             * Final member(s) of the super class are locked before the table is returned.
              * @param args Variable arguments passed to the super constructor.
              * @returns {{this, super: *|{this: {}|this, super: *}|ReadonlyArray<{}>|Readonly<{}|this>}} Protected member(s).
              * TODO: Determine a solution to trusting the user to provide the super static protected member(s).
@@ -88,6 +298,9 @@ const Structure = (function()
                 const superProt = superProtectedStatic.new(...args);
 
                 const instance = superProt.this;
+                lock(instance, superProtectedStatic);
+                if (superProtectedStatic.declare !== undefined)
+                    superProtectedStatic.declare(instance);
                 const prot = {
                     this: instance,
                     super: superProt
@@ -95,6 +308,14 @@ const Structure = (function()
 
                 protectedMap.set(instance, prot);
                 privateMap.set(instance, { });
+                classMap.set(instance, module);
+                if (declared === undefined)
+                {
+                    const members = new Map();
+                    for (let key of Object.keys(instance))
+                        members.set(key, instance[key]);
+                    inherited.set(instance, members);
+                }
 
                 return prot;
             },
@@ -105,15 +326,52 @@ const Structure = (function()
              */
             protected: function(instance)
             {
-                assert(Boolean(instance));
-                assert(typeof instance === "object");
-                assert(hasInstance(instance));
+                requireArgument(hasInstance(instance), name + ".protected", "instance must be a " + name + ".");
                 return protectedMap.get(instance);
             },
+            /**
+             * Records the public member(s) declared by the class,
+             * once the construction of the instance by the class has completed.
+             * @param instance Object instance which was constructed.
+             */
+            declare: function(instance)
+            {
+                if (declared !== undefined || !inherited.has(instance)) return;
+                const members = inherited.get(instance);
+                inherited.delete(instance);
+                declared = Object.freeze(Object.keys(instance).filter(function(key)
+                {
+                    return !members.has(key) || members.get(key) !== instance[key];
+                }));
+            },
             /**
              * Reference to the super classes' protected static member(s).
              */
-            super: superProtectedStatic
+            super: superProtectedStatic,
+            /**
+             * Module of the class.
+             */
+            module: module,
+            /**
+             * Name of the class.
+             */
+            name: name,
+            /**
+             * Names of the abstract member(s) of the class.
+             */
+            abstract: abstract,
+            /**
+             * Names of the final member(s) declared by the class.
+             */
+            final: final,
+            /**
+             * Interface(s) implemented by the class.
+             */
+            interfaces: interfaces,
+            /**
+             * Interceptor(s) of the class, including those inherited from the super class.
+             */
+            interceptors: interceptors
         };
 
         /* Private static member(s) of the class. */
@@ -125,15 +383,44 @@ const Structure = (function()
              */
             private: function(instance)
             {
-                assert(Boolean(instance));
-                assert(typeof instance === "object");
-                assert(hasInstance(instance));
+                requireArgument(hasInstance(instance), name + ".private", "instance must be a " + name + ".");
                 return privateMap.get(instance);
             },
             /**
              * Reference to the protected static member(s) of the class.
              */
             protected: protectedStatic,
+            /**
+             * Completes the construction of a concrete instance of the class.
+             * Every abstract member and interface member of the class must be implemented by the instance.
+             * Intercepted member(s) are wrapped by their interceptor(s), from the root of the hierarchy down.
+             * Public member(s) of the instance are guarded to fail fast once it is disposed.
+             * @param instance Object instance to complete.
+             * @returns {Readonly<{}>} Frozen instance.
+             */
+            concrete: function(instance)
+            {
+                requireArgument(hasInstance(instance), name + ".concrete", "instance must be a " + name + ".");
+                for (let member of abstract)
+                    if (typeof instance[member] !== "function")
+                        throw new AbstractMethodError(name + ": does not implement abstract member '" + member + "'.");
+                for (let i of interfaces)
+                    for (let member of i.members())
+                        if (typeof instance[member] !== "function")
+                            throw new AbstractMethodError(name + ": does not implement member '" + member
+                                + "' of interface " + i.getName() + ".");
+                protectedStatic.declare(instance);
+                for (let interceptor of interceptors)
+                    if (typeof instance[interceptor.member] === "function")
+                        instance[interceptor.member] = interceptor.callback(instance, instance[interceptor.member]);
+                for (let member of Object.keys(instance))
+                {
+                    const descriptor = Object.getOwnPropertyDescriptor(instance, member);
+                    if (descriptor.configurable && typeof descriptor.value === "function")
+                        instance[member] = guard(instance, member, descriptor.value);
+                }
+                return Object.freeze(instance);
+            },
             /**
              * Allows the class to set up subclassing.
              */
@@ -149,9 +436,21 @@ const Structure = (function()
          */
         new: function()
         {
-            return Object.freeze({ this: { } })
+            /* Deleting a final member names the class which declared it. */
+            const instance = new Proxy({ }, {
+                deleteProperty: function(target, member)
+                {
+                    const members = finals.get(instance);
+                    if (members !== undefined && members.has(member))
+                        throw new FinalMemberError(members.get(member) + "." + member
+                            + ": is final and cannot be deleted.");
+                    return Reflect.deleteProperty(target, member);
+                }
+            });
+
+            return Object.freeze({ this: instance })
         }
-    })));
+    }), { name: "Structure" }));
 
     /* Protected static member(s). */
     const protectedStatic = privateStatic.protected;
@@ -166,14 +465,61 @@ const Structure = (function()
             prot.super = undefined;
             const instance = prot.this;
 
+            /* ~~~~~~~~~~ Local member(s) ~~~~~~~~~~ */
+
+            /* Identity hash code of the instance. */
+            const hashCode = nextHashCode++;
+
             /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
 
             /**
-             * @returns {string} String representation of the Structure.
+             * Disposes the Structure, releasing its resources.
+             * Subclasses chain onto 'dispose' by hooking it, releasing their own
+             * resources before calling the super method. Once disposed, calling
+             * any public member other than 'dispose', 'isDisposed', 'unbind', 'toString',
+             * 'equals' and 'hashCode' fails fast. Disposing twice has no effect.
+             */
+            instance.dispose = function()
+            {
+                disposed.add(instance);
+            };
+
+            /**
+             * @returns {boolean} True if the Structure has been disposed.
+             */
+            instance.isDisposed = function()
+            {
+                return disposed.has(instance);
+            };
+
+            /**
+             * Determines if another object is equal to this Structure.
+             * Defaults to identity. Subclasses which override 'equals'
+             * must override 'hashCode' so that equal objects have equal hash codes.
+             * @param other Object to compare to.
+             * @returns {boolean} True if the objects are equal.
+             */
+            instance.equals = function(other)
+            {
+                return instance === other;
+            };
+
+            /**
+             * Defaults to an identity hash code, unique to the instance.
+             * @see: Structure.equals
+             * @returns {number} Hash code of the Structure.
+             */
+            instance.hashCode = function()
+            {
+                return hashCode;
+            };
+
+            /**
+             * @returns {string} String representation of the Structure, the name of its class.
              */
             instance.toString = function()
             {
-                return "Structure";
+                return classMap.get(instance).getName();
             };
 
             return Object.freeze(prot);
@@ -187,21 +533,391 @@ const Structure = (function()
      */
     module.new = function()
     {
-        return Object.freeze(protectedStatic.new().this);
+        return privateStatic.concrete(protectedStatic.new().this);
     };
 
     /**
      * @see: extend
      * @param module Submodule to extend functionality to.
+     * @param declaration Optional declaration of the submodule (name, abstract & final member(s), interface(s)).
      * @returns {{}} Private static member(s).
      */
-    module.extend = function(module)
+    module.extend = function(module, declaration)
     {
-        assert(Boolean(module));
-        assert(typeof module === "object");
-        assert(!Object.isFrozen(module));
-        assert(!Object.isSealed(module));
-        return privateStatic.extend(module, protectedStatic);
+        return privateStatic.extend(module, protectedStatic, declaration);
+    };
+
+    /**
+     * Defines a class on top of 'extend', without the module boilerplate.
+     * The declaration has the following members:
+     * -> name: Name of the class.
+     * -> extends: Module of the super class, Structure if omitted.
+     * -> abstract: Names of abstract member(s) of the class.
+     * -> final: Names of final member(s) of the class.
+     * -> implements: Interface(s) implemented by the class.
+     * -> intercept: Interceptor(s) of public member(s) of the class, by member name.
+     * -> mixins: Mixin(s) applied to every instance, before any member is added.
+     * -> super: Function(...args) which returns the super constructor arguments, defaults to 'args'.
+     * -> protectedMembers: Function(prot, priv, privateStatic) which returns the protected member(s).
+     * -> publicMembers: Function(prot, priv, privateStatic) which returns the public member(s).
+     * -> constructor: Function(prot, priv, ...args) which initializes the instance, once its members are added.
+     * -> statics: Function(module, privateStatic) which returns the public static member(s) of the class.
+     * -> contracts: Specification(s) of the public member(s) by name, and of the public constructor as 'new'.
+     * The 'prot' table is the protected member(s) of the instance,
+     * while 'priv' is the private member(s) held by the class.
+     * Every member except 'name' is optional. Classes which declare
+     * abstract member(s) are not given a public constructor.
+     * @see: extend
+     * @see: Contract.method
+     * @param declaration Declaration of the class.
+     * @returns {Readonly<{}>} Module of the class.
+     */
+    module.define = function(declaration)
+    {
+        requireArgument(declaration !== null && typeof declaration === "object",
+            "Structure.define", "declaration must be an object.");
+        requireArgument(typeof declaration.name === "string", "Structure.define", "name must be a string.");
+
+        /* Returns the function of the declaration, if provided. */
+        const callback = function(key)
+        {
+            if (!Object.prototype.hasOwnProperty.call(declaration, key))
+                return undefined;
+            requireArgument(typeof declaration[key] === "function",
+                "Structure.define", declaration.name + " " + key + " must be a function.");
+            return declaration[key];
+        };
+
+        const superModule = declaration.extends === undefined ? module : declaration.extends;
+        requireArgument(Boolean(superModule) && typeof superModule.extend === "function",
+            "Structure.define", declaration.name + " extends must be the module of a class.");
+
+        const superArguments = callback("super");
+        const constructor = callback("constructor");
+        const protectedMembers = callback("protectedMembers");
+        const publicMembers = callback("publicMembers");
+        const statics = callback("statics");
+        const mixins = declaration.mixins === undefined ? [ ] : declaration.mixins;
+        requireArgument(Array.isArray(mixins) && mixins.every(function(m)
+        {
+            return Mixin.hasInstance(m);
+        }), "Structure.define", declaration.name + " mixins must be an array of Mixins.");
+        const contracts = declaration.contracts === undefined || !Contract.isEnabled()
+            ? { } : declaration.contracts;
+        requireArgument(contracts !== null && typeof contracts === "object",
+            "Structure.define", declaration.name + " contracts must be an object.");
+
+        /* Module design pattern. */
+        const submodule = { };
+
+        /* Private and protected static member(s). */
+        const privateStatic = Object.freeze(superModule.extend(submodule, {
+            name: declaration.name,
+            abstract: declaration.abstract,
+            final: declaration.final,
+            implements: declaration.implements,
+            intercept: declaration.intercept
+        }));
+        const protectedStatic = privateStatic.protected;
+
+        /* Protected constructor. */
+        protectedStatic.new = (function()
+        {
+            const c = protectedStatic.new;
+
+            return function(...args)
+            {
+                const prot = superArguments === undefined
+                    ? c(...args) : c(...superArguments(...args));
+                const instance = prot.this;
+                const priv = privateStatic.private(instance);
+
+                for (let m of mixins)
+                    m.apply(prot);
+                if (protectedMembers !== undefined)
+                    Object.assign(prot, protectedMembers(prot, priv, privateStatic));
+                if (publicMembers !== undefined)
+                    Object.assign(instance, publicMembers(prot, priv, privateStatic));
+                for (let member of Object.keys(contracts))
+                    if (member !== "new")
+                    {
+                        requireArgument(typeof instance[member] === "function", "Structure.define",
+                            declaration.name + " has a contract for '" + member + "', which is not a member.");
+                        instance[member] = Contract.method(declaration.name + "." + member,
+                            contracts[member], instance[member]);
+                    }
+                if (constructor !== undefined)
+                    constructor(prot, priv, ...args);
+
+                return Object.freeze(prot);
+            };
+        })();
+        Object.freeze(protectedStatic);
+
+        if (declaration.abstract === undefined || declaration.abstract.length <= 0)
+        {
+            /**
+             * Public constructor.
+             * @param args Arguments of the protected constructor.
+             * @returns {Readonly<{}>} Instance of the class.
+             */
+            submodule.new = function(...args)
+            {
+                return privateStatic.concrete(protectedStatic.new(...args).this);
+            };
+            if (contracts.new !== undefined)
+                submodule.new = Contract.method(declaration.name + ".new", contracts.new, submodule.new);
+        }
+
+        /**
+         * @see Structure.extend
+         * @param module Base submodule.
+         * @param declaration Optional declaration of the submodule.
+         * @returns {{}} Private static member(s).
+         */
+        submodule.extend = function(module, declaration)
+        {
+            return privateStatic.extend(module, protectedStatic, declaration);
+        };
+
+        if (statics !== undefined)
+            Object.assign(submodule, statics(submodule, privateStatic));
+
+        return Object.freeze(submodule);
+    };
+
+    /**
+     * Queries the class which created an instance.
+     * @param instance Structure instance to query.
+     * @returns {{}} Module of the class of the instance.
+     */
+    module.classOf = function(instance)
+    {
+        requireArgument(classMap.has(instance), "Structure.classOf", "instance must be a Structure.");
+        return classMap.get(instance);
+    };
+
+    /**
+     * Equality comparator which respects the 'equals' contract of Structures.
+     * Values which are not Structures are compared with SameValueZero.
+     * @param a First value.
+     * @param b Second value.
+     * @returns {boolean} True if the values are equal.
+     */
+    module.equals = function(a, b)
+    {
+        if (a !== null && typeof a === "object" && classMap.has(a))
+            return a.equals(b);
+        return a === b || (a !== a && b !== b);
+    };
+
+    /**
+     * @returns {ReadonlyArray<{}>} Modules of every class created through 'extend', in order of creation.
+     */
+    module.classes = function()
+    {
+        return Object.freeze(classes.slice());
+    };
+
+    /**
+     * Registers the serializer of a class.
+     * The serializer has the following members:
+     * -> tag: Unique type tag of the class, stored alongside serialized instances.
+     * -> toJSON: Function(instance, write) which returns JSON-compatible data of the instance.
+     * -> fromJSON: Function(data, read) which returns the instance described by the data.
+     *    With 'create', it is instead given the created instance to populate.
+     * -> create: Optional function(data) which creates an empty instance, later populated by 'fromJSON'.
+     * Nested values must be encoded with 'write' and decoded with 'read'.
+     * Only classes with 'create' can be part of a reference cycle, as their
+     * instance exists before the values it refers to are decoded.
+     * Serializers are not inherited by subclasses.
+     * @param classModule Module of the class.
+     * @param serializer Serializer of the class.
+     */
+    module.serializable = function(classModule, serializer)
+    {
+        requireArgument(classes.includes(classModule), "Structure.serializable", "classModule must be the module of a class.");
+        requireState(!serializers.has(classModule),
+            "Structure.serializable", classModule.getName() + " already has a serializer.");
+        requireArgument(serializer !== null && typeof serializer === "object",
+            "Structure.serializable", "serializer must be an object.");
+        requireArgument(typeof serializer.tag === "string" && serializer.tag !== "Array" && serializer.tag !== "Object",
+            "Structure.serializable", "tag must be a string other than 'Array' and 'Object'.");
+        requireState(!tags.has(serializer.tag),
+            "Structure.serializable", "tag '" + serializer.tag + "' is already registered.");
+        requireArgument(typeof serializer.toJSON === "function" && typeof serializer.fromJSON === "function",
+            "Structure.serializable", "toJSON and fromJSON must be functions.");
+        requireArgument(serializer.create === undefined || typeof serializer.create === "function",
+            "Structure.serializable", "create must be a function, if provided.");
+
+        const s = Object.freeze({
+            tag: serializer.tag,
+            toJSON: serializer.toJSON,
+            fromJSON: serializer.fromJSON,
+            create: serializer.create
+        });
+        serializers.set(classModule, s);
+        tags.set(s.tag, s);
+    };
+
+    /**
+     * @see: Structure.serializable
+     * @param classModule Module of a class.
+     * @returns {string|undefined} Tag of the serializer of the class, if it has one.
+     */
+    module.tagOf = function(classModule)
+    {
+        const s = serializers.get(classModule);
+        return s === undefined ? undefined : s.tag;
+    };
+
+    /**
+     * @see: Structure.serializable
+     * @param tag Tag of a serializer.
+     * @returns {{}|undefined} Module of the class which the serializer is registered for, if any.
+     */
+    module.classOfTag = function(tag)
+    {
+        for (let [classModule, s] of serializers)
+            if (s.tag === tag)
+                return classModule;
+        return undefined;
+    };
+
+    /**
+     * Serializes an object graph into a JSON string.
+     * Structures, arrays and plain objects are stored once and referred to by index,
+     * which preserves shared references and cycles. Every Structure in the graph
+     * must belong to a class with a registered serializer.
+     * @see: Structure.serializable
+     * @param value Root of the object graph.
+     * @returns {string} JSON string of the graph.
+     */
+    module.serialize = function(value)
+    {
+        /* Serialized objects of the graph, and their indices. */
+        const objects = [ ];
+        const indices = new Map();
+
+        /* Encodes a value of the graph. */
+        const write = function(v)
+        {
+            if (v === undefined)
+                return { $undefined: true };
+            if (v === null || typeof v === "boolean" || typeof v === "string")
+                return v;
+            if (typeof v === "number")
+                return Number.isFinite(v) ? v : { $number: String(v) };
+            if (typeof v !== "object")
+                throw new SerializationError("Structure.serialize: values of type " + typeof v + " cannot be serialized.");
+            if (indices.has(v))
+                return { $ref: indices.get(v) };
+
+            const index = objects.length;
+            const node = { };
+            indices.set(v, index);
+            objects.push(node);
+
+            if (Array.isArray(v))
+            {
+                node.type = "Array";
+                node.data = v.map(function(element)
+                {
+                    return write(element);
+                });
+            }
+            else if (classMap.has(v))
+            {
+                const s = serializers.get(classMap.get(v));
+                if (s === undefined)
+                    throw new SerializationError("Structure.serialize: " + classMap.get(v).getName() + " is not serializable.");
+                node.type = s.tag;
+                node.data = s.toJSON(v, write);
+            }
+            else
+            {
+                const prototype = Object.getPrototypeOf(v);
+                if (prototype !== Object.prototype && prototype !== null)
+                    throw new SerializationError("Structure.serialize: only plain objects and Structures can be serialized.");
+                node.type = "Object";
+                node.data = { };
+                for (let key of Object.keys(v))
+                    node.data[key] = write(v[key]);
+            }
+
+            return { $ref: index };
+        };
+
+        const root = write(value);
+        return JSON.stringify({ root: root, objects: objects });
+    };
+
+    /**
+     * Deserializes an object graph from a JSON string.
+     * @see: Structure.serialize
+     * @param json JSON string of the graph.
+     * @returns {*} Root of the object graph.
+     */
+    module.deserialize = function(json)
+    {
+        requireArgument(typeof json === "string", "Structure.deserialize", "json must be a string.");
+        const graph = JSON.parse(json);
+        if (graph === null || !Array.isArray(graph.objects))
+            throw new SerializationError("Structure.deserialize: json is not a serialized object graph.");
+
+        /* Deserialized objects, by index. */
+        const objects = new Map();
+        /* Indices of objects being deserialized without a 'create' function. */
+        const pending = new Set();
+
+        /* Decodes a value of the graph. */
+        const read = function(v)
+        {
+            if (v === null || typeof v !== "object")
+                return v;
+            if (v.$undefined === true)
+                return undefined;
+            if (v.$number !== undefined)
+                return Number(v.$number);
+
+            const index = v.$ref;
+            if (!Number.isInteger(index) || index < 0 || index >= graph.objects.length)
+                throw new SerializationError("Structure.deserialize: reference " + index + " does not exist.");
+            if (objects.has(index))
+                return objects.get(index);
+
+            const node = graph.objects[index];
+            if (node.type === "Array" || node.type === "Object")
+            {
+                const o = node.type === "Array" ? [ ] : { };
+                objects.set(index, o);
+                for (let key of Object.keys(node.data))
+                    o[key] = read(node.data[key]);
+                return o;
+            }
+
+            const s = tags.get(node.type);
+            if (s === undefined)
+                throw new SerializationError("Structure.deserialize: unknown type tag '" + node.type + "'.");
+            if (s.create !== undefined)
+            {
+                const instance = s.create(node.data);
+                objects.set(index, instance);
+                s.fromJSON(node.data, read, instance);
+                return instance;
+            }
+
+            if (pending.has(index))
+                throw new SerializationError("Structure.deserialize: cannot deserialize a reference cycle through "
+                    + node.type + ".");
+            pending.add(index);
+            const instance = s.fromJSON(node.data, read);
+            pending.delete(index);
+            objects.set(index, instance);
+            return instance;
+        };
+
+        return read(graph.root);
     };
 
     return Object.freeze(module);
@@ -0,0 +1,218 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       StructureMap
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Structure map module.
+ * Subclass of Structure.
+ * Defines a map whose keys are compared with 'equals' and 'hashCode'.
+ * Keys which are not Structures are compared with SameValueZero, like a Map.
+ * Keys must not change their hash code while they are in the map.
+ */
+const StructureMap = (function()
+{
+    /* Returns true if the value is a Structure instance. */
+    const isStructure = function(value)
+    {
+        return Type.of(value) === Type.STRUCTURE;
+    };
+
+    /* Returns the key of the bucket a key belongs in. */
+    const hash = function(key)
+    {
+        return isStructure(key) ? key.hashCode() : key;
+    };
+
+    return Structure.define({
+        name: "StructureMap",
+
+        /**
+         * Public constructor.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param entries Optional iterable of [key, value] pairs to be added.
+         */
+        constructor: function(prot, priv, entries)
+        {
+            /* Entries grouped by the hash code of their keys. */
+            priv.buckets = new Map();
+            /* Entries of the map, in insertion order. */
+            priv.entries = new Set();
+
+            /* Finds the entry of a key, undefined if it is not in the map. */
+            priv.find = function(key)
+            {
+                const bucket = priv.buckets.get(hash(key));
+                if (bucket === undefined) return undefined;
+                return bucket.find(function(entry)
+                {
+                    return Structure.equals(entry.key, key);
+                });
+            };
+
+            if (entries !== undefined)
+                for (let [key, value] of entries)
+                    prot.this.set(key, value);
+        },
+
+        publicMembers: function(prot, priv)
+        {
+            const instance = prot.this;
+
+            return {
+                /**
+                 * @param key Key to look up.
+                 * @returns {*} Value of the key, undefined if the key is not in the map.
+                 */
+                get: function(key)
+                {
+                    const entry = priv.find(key);
+                    return entry === undefined ? undefined : entry.value;
+                },
+
+                /**
+                 * Associates a value with a key, replacing any previous value of an equal key.
+                 * @param key Key of the value.
+                 * @param value Value to be set.
+                 */
+                set: function(key, value)
+                {
+                    const entry = priv.find(key);
+                    if (entry !== undefined)
+                    {
+                        entry.value = value;
+                        return;
+                    }
+
+                    const h = hash(key);
+                    let bucket = priv.buckets.get(h);
+                    if (bucket === undefined)
+                    {
+                        bucket = [ ];
+                        priv.buckets.set(h, bucket);
+                    }
+                    const created = { key: key, value: value };
+                    bucket.push(created);
+                    priv.entries.add(created);
+                },
+
+                /**
+                 * @param key Key to look up.
+                 * @returns {boolean} True if an equal key is in the map.
+                 */
+                has: function(key)
+                {
+                    return priv.find(key) !== undefined;
+                },
+
+                /**
+                 * Removes the entry of a key.
+                 * @param key Key to be removed.
+                 * @returns {boolean} True if the key was in the map.
+                 */
+                delete: function(key)
+                {
+                    const entry = priv.find(key);
+                    if (entry === undefined) return false;
+
+                    const h = hash(entry.key);
+                    const bucket = priv.buckets.get(h);
+                    bucket.splice(bucket.indexOf(entry), 1);
+                    if (bucket.length <= 0)
+                        priv.buckets.delete(h);
+                    priv.entries.delete(entry);
+                    return true;
+                },
+
+                /**
+                 * Removes every entry of the map.
+                 */
+                clear: function()
+                {
+                    priv.buckets.clear();
+                    priv.entries.clear();
+                },
+
+                /**
+                 * @returns {number} Amount of entries in the map.
+                 */
+                size: function()
+                {
+                    return priv.entries.size;
+                },
+
+                /**
+                 * @returns {IterableIterator<*>} Keys of the map, in insertion order.
+                 */
+                keys: function*()
+                {
+                    for (let entry of priv.entries)
+                        yield entry.key;
+                },
+
+                /**
+                 * @returns {IterableIterator<*>} Values of the map, in insertion order.
+                 */
+                values: function*()
+                {
+                    for (let entry of priv.entries)
+                        yield entry.value;
+                },
+
+                /**
+                 * @returns {IterableIterator<Array>} [key, value] pairs of the map, in insertion order.
+                 */
+                entries: function*()
+                {
+                    for (let entry of priv.entries)
+                        yield [ entry.key, entry.value ];
+                },
+
+                /**
+                 * Calls a function for every entry of the map, in insertion order.
+                 * @param callback Function to be called with <value>, <key>, <map>.
+                 */
+                forEach: function(callback)
+                {
+                    requireArgument(Type.of(callback) === Type.FUNCTION, "StructureMap.forEach", "callback must be a function.");
+                    for (let entry of priv.entries)
+                        callback(entry.value, entry.key, instance);
+                },
+
+                /**
+                 * @see: StructureMap.entries
+                 */
+                [Symbol.iterator]: function()
+                {
+                    return instance.entries();
+                }
+            };
+        }
+    });
+})();
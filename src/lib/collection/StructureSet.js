@@ -0,0 +1,134 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       StructureSet
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Structure set module.
+ * Subclass of Structure.
+ * Defines a set whose values are compared with 'equals' and 'hashCode'.
+ * @see: StructureMap
+ */
+const StructureSet = Structure.define({
+    name: "StructureSet",
+
+    /**
+     * Public constructor.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param values Optional iterable of values to be added.
+     */
+    constructor: function(prot, priv, values)
+    {
+        /* Map whose keys are the values of the set. */
+        priv.map = StructureMap.new();
+
+        if (values !== undefined)
+            for (let value of values)
+                prot.this.add(value);
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * Adds a value, unless an equal value is already in the set.
+             * @param value Value to be added.
+             */
+            add: function(value)
+            {
+                if (!priv.map.has(value))
+                    priv.map.set(value, value);
+            },
+
+            /**
+             * @param value Value to look up.
+             * @returns {boolean} True if an equal value is in the set.
+             */
+            has: function(value)
+            {
+                return priv.map.has(value);
+            },
+
+            /**
+             * Removes a value from the set.
+             * @param value Value to be removed.
+             * @returns {boolean} True if the value was in the set.
+             */
+            delete: function(value)
+            {
+                return priv.map.delete(value);
+            },
+
+            /**
+             * Removes every value of the set.
+             */
+            clear: function()
+            {
+                priv.map.clear();
+            },
+
+            /**
+             * @returns {number} Amount of values in the set.
+             */
+            size: function()
+            {
+                return priv.map.size();
+            },
+
+            /**
+             * @returns {IterableIterator<*>} Values of the set, in insertion order.
+             */
+            values: function()
+            {
+                return priv.map.keys();
+            },
+
+            /**
+             * Calls a function for every value of the set, in insertion order.
+             * @param callback Function to be called with <value>, <set>.
+             */
+            forEach: function(callback)
+            {
+                requireArgument(Type.of(callback) === Type.FUNCTION, "StructureSet.forEach", "callback must be a function.");
+                for (let value of priv.map.keys())
+                    callback(value, instance);
+            },
+
+            /**
+             * @see: StructureSet.values
+             */
+            [Symbol.iterator]: function()
+            {
+                return instance.values();
+            }
+        };
+    }
+});
@@ -39,23 +39,29 @@ const Enum = (function()
     const module = { };
 
     /* Private and protected static member(s). */
-    const privateStatic = Structure.extend(module);
+    const privateStatic = Structure.extend(module, {
+        name: "Enum"
+    });
     const protectedStatic = privateStatic.protected;
 
     /**
      * @see Structure.extend
      * @param module Base submodule.
+     * @param declaration Optional declaration of the submodule.
      * @returns {{}} Private static member(s).
      */
-    module.extend = function(module)
+    module.extend = function(module, declaration)
     {
-        assert(Boolean(module));
-        assert(typeof module === "object");
-        assert(!Object.isFrozen(module));
-        assert(!Object.isSealed(module));
+        requireArgument(module !== null && typeof module === "object"
+            && !Object.isSealed(module) && !Object.isFrozen(module),
+            "Enum.extend", "module must be an object which is neither sealed nor frozen.");
 
         /* Container for constant instances of the Enum. */
         const values = [ ];
+        /* Constant instances of the Enum, by name. */
+        const names = new Map();
+        /* True once the class is initialized, no constant can be added afterwards. */
+        let sealed = false;
 
         /**
          * Gets the Enum constant instance corresponding to the ordinal.
@@ -64,19 +70,84 @@ const Enum = (function()
          */
         module.get = function(ordinal)
         {
-            assert(typeof ordinal === "number");
-            assert(Number.isInteger(ordinal));
-            assert(ordinal >= 0);
-            assert(ordinal < values.length);
+            requireArgument(Number.isInteger(ordinal) && ordinal >= 0 && ordinal < values.length,
+                module.getName() + ".get", "ordinal must be an integer from 0, less than " + values.length + ".");
             return values[ordinal];
         };
 
         /**
-         * @returns {number} Amount of Enum constants defined.
+         * @returns {ReadonlyArray<{}>} Enum constants, in order of their ordinals.
          */
         module.values = function()
         {
-            return values.length;
+            return Object.freeze(values.slice());
+        };
+
+        /**
+         * Gets the Enum constant instance corresponding to the name.
+         * Without an argument, returns the module, as 'Object.prototype.valueOf' which it shadows does,
+         * so that the Enum can still be converted to a primitive.
+         * @param name Name of the Enum instance.
+         * @returns {{}} Enum instance, or the module if the name is omitted.
+         */
+        module.valueOf = function(name)
+        {
+            if (name === undefined)
+                return module;
+            requireArgument(typeof name === "string", module.getName() + ".valueOf", "name must be a string.");
+            requireArgument(names.has(name), module.getName() + ".valueOf", "no constant is named '" + name + "'.");
+            return names.get(name);
+        };
+
+        /**
+         * @param name Name to check.
+         * @returns {boolean} True if the Enum has a constant with the name.
+         */
+        module.has = function(name)
+        {
+            return typeof name === "string" && names.has(name);
+        };
+
+        /**
+         * Exhaustive pattern matching over the Enum constants.
+         * Cases are functions keyed by constant name, the '_' key being the default case.
+         * Every constant must have a case unless a default is provided, and every key
+         * must name a constant, whichever constant is matched. That way, adding a constant
+         * makes every non-exhaustive match fail.
+         * @param constant Enum constant to match.
+         * @param cases Functions to be called with the constant, by constant name.
+         * @returns {*} Value returned by the case of the constant.
+         */
+        module.match = function(constant, cases)
+        {
+            requireArgument(module.hasInstance(constant),
+                module.getName() + ".match", "constant must be a " + module.getName() + ".");
+            requireArgument(cases !== null && typeof cases === "object",
+                module.getName() + ".match", "cases must be an object.");
+
+            for (let key of Object.keys(cases))
+            {
+                requireArgument(key === "_" || names.has(key),
+                    module.getName() + ".match", "has a case for '" + key + "', which is not a constant.");
+                requireArgument(typeof cases[key] === "function",
+                    module.getName() + ".match", "case '" + key + "' must be a function.");
+            }
+            if (!Object.prototype.hasOwnProperty.call(cases, "_"))
+                for (let name of names.keys())
+                    requireArgument(Object.prototype.hasOwnProperty.call(cases, name),
+                        module.getName() + ".match", "has no case for '" + name + "', and no default.");
+
+            const name = constant.name();
+            return Object.prototype.hasOwnProperty.call(cases, name) ? cases[name](constant) : cases._(constant);
+        };
+
+        /**
+         * Iterates over the Enum constants, in order of their ordinals.
+         * @returns {Iterator<{}>} Iterator of the Enum constants.
+         */
+        module[Symbol.iterator] = function()
+        {
+            return module.values()[Symbol.iterator]();
         };
 
         /* Due to the limitation of the protected static system,
@@ -84,13 +155,21 @@ const Enum = (function()
          * and it cannot be dynamically created. This is a work
          * -around for that issue only to implement Enum functionality.*/
         const clone = Object.assign({ }, protectedStatic);
-        clone.new = function()
+        clone.new = function(name)
         {
+            const source = module.getName() + ".new";
+            requireArgument(typeof name === "string", source, "name must be a string.");
+            requireArgument(!names.has(name), source, "constant '" + name + "' already exists.");
+            /* Reserved for the default case of 'match'. */
+            requireArgument(name !== "_", source, "'_' cannot be the name of a constant.");
+            requireState(!sealed, source, "is sealed, constant '" + name + "' cannot be added.");
+
             const prot = protectedStatic.new();
             const instance = prot.this;
 
             const ordinal = values.length;
             values.push(instance);
+            names.set(name, instance);
 
             /**
              * @returns {number} Index of this instance within the order of the Enum.
@@ -100,10 +179,174 @@ const Enum = (function()
                 return ordinal;
             };
 
+            /**
+             * @returns {string} Name of this instance, as declared in the Enum.
+             */
+            instance.name = function()
+            {
+                return name;
+            };
+
+            /**
+             * Compares the order of two constants of the same Enum.
+             * @param other Enum constant to compare to.
+             * @returns {number} Negative, zero or positive if this constant is before, equal to or after the other.
+             */
+            instance.compareTo = function(other)
+            {
+                requireArgument(module.hasInstance(other),
+                    module.getName() + ".compareTo", "other must be a " + module.getName() + ".");
+                return ordinal - other.ordinal();
+            };
+
+            /**
+             * Override toString.
+             * @see Structure.toString
+             * @returns {string} Name of the Enum constant.
+             */
+            instance.toString = function()
+            {
+                return name;
+            };
+
+            /**
+             * Override dispose.
+             * Enum constants live as long as their Enum, and cannot be disposed.
+             * @see: Structure.dispose
+             */
+            instance.dispose = function()
+            {
+                throw new UnsupportedOperationError(module.getName() + ".dispose: Enum constants cannot be disposed.");
+            };
+
             return Object.freeze(prot);
         };
 
-        return privateStatic.extend(module, Object.freeze(clone));
+        const subPrivateStatic = privateStatic.extend(module, Object.freeze(clone), declaration);
+
+        /**
+         * Seals the Enum once its constants are constructed.
+         * Must be called at the end of the class initialization.
+         */
+        subPrivateStatic.seal = function()
+        {
+            sealed = true;
+        };
+
+        /* Named Enums are serializable, their constants by name. */
+        if (declaration !== undefined && typeof declaration.name === "string")
+            Structure.serializable(module, {
+                tag: declaration.name,
+                toJSON: function(constant)
+                {
+                    return constant.name();
+                },
+                fromJSON: function(data)
+                {
+                    return typeof data === "number" ? module.get(data) : module.valueOf(data);
+                }
+            });
+
+        return subPrivateStatic;
+    };
+
+    /**
+     * Defines an Enum and its constants declaratively.
+     * The declaration has the following members:
+     * -> name: Name of the Enum.
+     * -> abstract: Names of member(s) which every constant must implement.
+     * -> final, implements: @see Structure.extend
+     * -> publicMembers: Function(prot, fields) which returns the member(s) shared by every constant.
+     * -> constructor: Function(prot, fields, ...args) which initializes the fields of a constant.
+     * -> constants: Constant(s) of the Enum by name, in order of their ordinals. Each constant is either
+     *    an array of constructor arguments, or an object with the following optional members:
+     *    -> args: Array of constructor arguments.
+     *    -> publicMembers: Function(prot, fields) which returns the member(s) of the constant,
+     *       overriding the shared member(s), other than final ones, and implementing the abstract member(s).
+     * -> statics: Function(module, privateStatic) which returns the public static member(s) of the Enum.
+     * The 'fields' table is private to the Enum and unique to each constant.
+     * The Enum is sealed once its constants are constructed.
+     * @param declaration Declaration of the Enum.
+     * @returns {Readonly<{}>} Module of the Enum.
+     */
+    module.define = function(declaration)
+    {
+        requireArgument(declaration !== null && typeof declaration === "object",
+            "Enum.define", "declaration must be an object.");
+        requireArgument(typeof declaration.name === "string", "Enum.define", "name must be a string.");
+        requireArgument(declaration.constants !== null && typeof declaration.constants === "object",
+            "Enum.define", declaration.name + " constants must be an object.");
+
+        /* Returns the function of the declaration, if provided. */
+        const callback = function(key)
+        {
+            if (!Object.prototype.hasOwnProperty.call(declaration, key))
+                return undefined;
+            requireArgument(typeof declaration[key] === "function",
+                "Enum.define", declaration.name + " " + key + " must be a function.");
+            return declaration[key];
+        };
+
+        const publicMembers = callback("publicMembers");
+        const constructor = callback("constructor");
+        const statics = callback("statics");
+
+        /* Module design pattern. */
+        const submodule = { };
+
+        /* Private and protected static member(s). */
+        const privateStatic = module.extend(submodule, {
+            name: declaration.name,
+            abstract: declaration.abstract,
+            final: declaration.final,
+            implements: declaration.implements
+        });
+        const protectedStatic = privateStatic.protected;
+
+        for (let name of Object.keys(declaration.constants))
+        {
+            let constant = declaration.constants[name];
+            if (Array.isArray(constant))
+                constant = { args: constant };
+            requireArgument(constant !== null && typeof constant === "object",
+                "Enum.define", declaration.name + "." + name + " must be an array or an object.");
+            const args = constant.args === undefined ? [ ] : constant.args;
+            requireArgument(Array.isArray(args), "Enum.define", declaration.name + "." + name + " args must be an array.");
+
+            const prot = protectedStatic.new(name);
+            const instance = prot.this;
+            const fields = privateStatic.private(instance);
+
+            if (publicMembers !== undefined)
+                Object.assign(instance, publicMembers(prot, fields));
+            if (constructor !== undefined)
+                constructor(prot, fields, ...args);
+            if (constant.publicMembers !== undefined)
+            {
+                requireArgument(typeof constant.publicMembers === "function",
+                    "Enum.define", declaration.name + "." + name + " publicMembers must be a function.");
+                const members = constant.publicMembers(prot, fields);
+                for (let s = protectedStatic; s !== undefined; s = s.super)
+                    for (let member of s.final)
+                        if (members !== null && typeof members === "object"
+                            && Object.prototype.hasOwnProperty.call(members, member))
+                            throw new FinalMemberError(declaration.name + "." + name
+                                + ": final member '" + member + "' cannot be overridden.");
+                Object.assign(instance, members);
+            }
+
+            for (let member of protectedStatic.abstract)
+                if (typeof instance[member] !== "function")
+                    throw new AbstractMethodError(declaration.name + "." + name
+                        + ": does not implement abstract member '" + member + "'.");
+            submodule[name] = privateStatic.concrete(instance);
+        }
+        privateStatic.seal();
+
+        if (statics !== undefined)
+            Object.assign(submodule, statics(submodule, privateStatic));
+
+        return Object.freeze(submodule);
     };
 
     return Object.freeze(module);
@@ -0,0 +1,223 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       EnumMap
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Enum map module.
+ * Subclass of Structure.
+ * Defines a map whose keys are constants of a specific Enum, stored in an array indexed by ordinal.
+ * Keys of any other Enum are rejected.
+ */
+const EnumMap = Structure.define({
+    name: "EnumMap",
+
+    /**
+     * Public constructor.
+     * Creates an empty map.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param enumModule Module of the Enum of the keys.
+     */
+    constructor: function(prot, priv, enumModule)
+    {
+        requireArgument(Type.of(enumModule) === Type.OBJECT && enumModule.getSuperclass() === Enum,
+            "EnumMap.new", "enumModule must be the module of an Enum.");
+
+        /* Module of the Enum of the keys. */
+        priv.enum = enumModule;
+        /* Values of the map, indexed by the ordinal of their key. */
+        priv.values = new Array(enumModule.values().length);
+        /* Flags of the keys which are in the map, indexed by ordinal. */
+        priv.present = new Array(priv.values.length).fill(false);
+
+        /* Ensures that a value is a constant of the Enum of the keys. */
+        priv.check = function(key)
+        {
+            requireArgument(Type.instanceOf(key, enumModule),
+                "EnumMap", "a map of " + enumModule.getName() + " cannot have the key " + key + ".");
+            return key.ordinal();
+        };
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * @returns {{}} Module of the Enum of the keys.
+             */
+            getEnum: function()
+            {
+                return priv.enum;
+            },
+
+            /**
+             * @param key Key to look up.
+             * @returns {*} Value of the key, undefined if the key is not in the map.
+             */
+            get: function(key)
+            {
+                return priv.values[priv.check(key)];
+            },
+
+            /**
+             * Associates a value with a key.
+             * @param key Constant of the Enum of the keys.
+             * @param value Value to be set.
+             */
+            set: function(key, value)
+            {
+                const ordinal = priv.check(key);
+                priv.values[ordinal] = value;
+                priv.present[ordinal] = true;
+            },
+
+            /**
+             * @param key Key to look up.
+             * @returns {boolean} True if the key is in the map.
+             */
+            has: function(key)
+            {
+                return priv.present[priv.check(key)];
+            },
+
+            /**
+             * Removes the entry of a key.
+             * @param key Key to be removed.
+             * @returns {boolean} True if the key was in the map.
+             */
+            delete: function(key)
+            {
+                const ordinal = priv.check(key);
+                if (!priv.present[ordinal]) return false;
+                priv.values[ordinal] = undefined;
+                priv.present[ordinal] = false;
+                return true;
+            },
+
+            /**
+             * Removes every entry of the map.
+             */
+            clear: function()
+            {
+                priv.values.fill(undefined);
+                priv.present.fill(false);
+            },
+
+            /**
+             * @returns {number} Amount of entries in the map.
+             */
+            size: function()
+            {
+                return priv.present.filter(Boolean).length;
+            },
+
+            /**
+             * @returns {IterableIterator<{}>} Keys of the map, in order of their ordinals.
+             */
+            keys: function*()
+            {
+                for (let ordinal = 0; ordinal < priv.values.length; ordinal++)
+                    if (priv.present[ordinal])
+                        yield priv.enum.get(ordinal);
+            },
+
+            /**
+             * @returns {IterableIterator<*>} Values of the map, in order of the ordinals of their keys.
+             */
+            values: function*()
+            {
+                for (let ordinal = 0; ordinal < priv.values.length; ordinal++)
+                    if (priv.present[ordinal])
+                        yield priv.values[ordinal];
+            },
+
+            /**
+             * @returns {IterableIterator<Array>} [key, value] pairs of the map, in order of the ordinals of their keys.
+             */
+            entries: function*()
+            {
+                for (let ordinal = 0; ordinal < priv.values.length; ordinal++)
+                    if (priv.present[ordinal])
+                        yield [ priv.enum.get(ordinal), priv.values[ordinal] ];
+            },
+
+            /**
+             * Calls a function for every entry of the map, in order of the ordinals of their keys.
+             * @param callback Function to be called with <value>, <key>, <map>.
+             */
+            forEach: function(callback)
+            {
+                requireArgument(Type.of(callback) === Type.FUNCTION, "EnumMap.forEach", "callback must be a function.");
+                for (let [key, value] of instance.entries())
+                    callback(value, key, instance);
+            },
+
+            /**
+             * @see: EnumMap.entries
+             */
+            [Symbol.iterator]: function()
+            {
+                return instance.entries();
+            },
+
+            /**
+             * Override toString.
+             * @see: Structure.toString
+             * @returns {string} String representation of the map.
+             */
+            toString: function()
+            {
+                return "{" + Array.from(instance.entries()).map(function(entry)
+                {
+                    return entry[0] + "=" + entry[1];
+                }).join(", ") + "}";
+            }
+        };
+    },
+
+    statics: function(module)
+    {
+        return {
+            /**
+             * @param map Map to copy.
+             * @returns {{}} Map of the same Enum, holding the same entries.
+             */
+            copyOf: function(map)
+            {
+                requireArgument(module.hasInstance(map), "EnumMap.copyOf", "map must be an EnumMap.");
+                const copy = module.new(map.getEnum());
+                for (let [key, value] of map)
+                    copy.set(key, value);
+                return copy;
+            }
+        };
+    }
+});
@@ -0,0 +1,327 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       EnumSet
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Enum set module.
+ * Subclass of Structure.
+ * Defines a set of constants of a specific Enum, stored as a bit vector indexed by ordinal.
+ * Constants of any other Enum are rejected.
+ */
+const EnumSet = (function()
+{
+    /* Amount of bits held by each word of the bit vector. */
+    const WORD_SIZE = 32;
+
+    /* Returns the module of the Enum which declared the constant. */
+    const enumOf = function(constant, source)
+    {
+        requireArgument(Type.instanceOf(constant, Enum), source, "constant must be an Enum constant.");
+        return Structure.classOf(constant);
+    };
+
+    return Structure.define({
+        name: "EnumSet",
+
+        /**
+         * Public constructor.
+         * Creates an empty set.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param enumModule Module of the Enum of the set.
+         */
+        constructor: function(prot, priv, enumModule)
+        {
+            requireArgument(Type.of(enumModule) === Type.OBJECT && enumModule.getSuperclass() === Enum,
+                "EnumSet.new", "enumModule must be the module of an Enum.");
+
+            /* Module of the Enum of the set. */
+            priv.enum = enumModule;
+            /* Amount of constants of the Enum. */
+            priv.length = enumModule.values().length;
+            /* Bit vector of the set, bit 'n' is set if the constant of ordinal 'n' is in the set. */
+            priv.words = new Uint32Array(Math.ceil(priv.length / WORD_SIZE));
+
+            /* Ensures that a value is a constant of the Enum of the set. */
+            priv.check = function(constant)
+            {
+                requireArgument(Type.instanceOf(constant, enumModule),
+                    "EnumSet", "a set of " + enumModule.getName() + " cannot hold " + constant + ".");
+                return constant.ordinal();
+            };
+
+            /* Returns true if the bit of the ordinal is set. */
+            priv.test = function(ordinal)
+            {
+                return (priv.words[Math.floor(ordinal / WORD_SIZE)] & (1 << (ordinal % WORD_SIZE))) !== 0;
+            };
+        },
+
+        publicMembers: function(prot, priv, privateStatic)
+        {
+            const instance = prot.this;
+
+            return {
+                /**
+                 * @returns {{}} Module of the Enum of the set.
+                 */
+                getEnum: function()
+                {
+                    return priv.enum;
+                },
+
+                /**
+                 * Adds a constant to the set.
+                 * @param constant Constant of the Enum of the set.
+                 * @returns {boolean} True if the constant was not already in the set.
+                 */
+                add: function(constant)
+                {
+                    const ordinal = priv.check(constant);
+                    if (priv.test(ordinal)) return false;
+                    priv.words[Math.floor(ordinal / WORD_SIZE)] |= 1 << (ordinal % WORD_SIZE);
+                    return true;
+                },
+
+                /**
+                 * Adds every constant of an iterable to the set.
+                 * @param constants Iterable of constants of the Enum of the set.
+                 * @returns {boolean} True if the set changed.
+                 */
+                addAll: function(constants)
+                {
+                    let changed = false;
+                    for (let constant of constants)
+                        changed = instance.add(constant) || changed;
+                    return changed;
+                },
+
+                /**
+                 * Removes a constant from the set.
+                 * @param constant Constant of the Enum of the set.
+                 * @returns {boolean} True if the constant was in the set.
+                 */
+                remove: function(constant)
+                {
+                    const ordinal = priv.check(constant);
+                    if (!priv.test(ordinal)) return false;
+                    priv.words[Math.floor(ordinal / WORD_SIZE)] &= ~(1 << (ordinal % WORD_SIZE));
+                    return true;
+                },
+
+                /**
+                 * @param constant Constant to look up.
+                 * @returns {boolean} True if the constant is in the set.
+                 */
+                has: function(constant)
+                {
+                    return priv.test(priv.check(constant));
+                },
+
+                /**
+                 * Removes every constant from the set.
+                 */
+                clear: function()
+                {
+                    priv.words.fill(0);
+                },
+
+                /**
+                 * @returns {number} Amount of constants in the set.
+                 */
+                size: function()
+                {
+                    let size = 0;
+                    for (let ordinal = 0; ordinal < priv.length; ordinal++)
+                        if (priv.test(ordinal))
+                            size++;
+                    return size;
+                },
+
+                /**
+                 * @returns {boolean} True if the set holds no constant.
+                 */
+                isEmpty: function()
+                {
+                    return priv.words.every(function(word)
+                    {
+                        return word === 0;
+                    });
+                },
+
+                /**
+                 * @returns {IterableIterator<{}>} Constants of the set, in order of their ordinals.
+                 */
+                values: function*()
+                {
+                    for (let ordinal = 0; ordinal < priv.length; ordinal++)
+                        if (priv.test(ordinal))
+                            yield priv.enum.get(ordinal);
+                },
+
+                /**
+                 * Calls a function for every constant of the set, in order of their ordinals.
+                 * @param callback Function to be called with <constant>, <set>.
+                 */
+                forEach: function(callback)
+                {
+                    requireArgument(Type.of(callback) === Type.FUNCTION, "EnumSet.forEach", "callback must be a function.");
+                    for (let constant of instance.values())
+                        callback(constant, instance);
+                },
+
+                /**
+                 * @see: EnumSet.values
+                 */
+                [Symbol.iterator]: function()
+                {
+                    return instance.values();
+                },
+
+                /**
+                 * Override equals.
+                 * Sets are equal if they hold the same constants of the same Enum.
+                 * @see: Structure.equals
+                 */
+                equals: function(other)
+                {
+                    if (!Type.instanceOf(other, privateStatic.protected.module))
+                        return false;
+                    const o = privateStatic.private(other);
+                    return o.enum === priv.enum && o.words.every(function(word, i)
+                    {
+                        return word === priv.words[i];
+                    });
+                },
+
+                /**
+                 * Override hashCode.
+                 * @see: Structure.hashCode
+                 */
+                hashCode: function()
+                {
+                    return priv.words.reduce(function(hash, word)
+                    {
+                        return (hash * 31 + word) | 0;
+                    }, 0);
+                },
+
+                /**
+                 * Override toString.
+                 * @see: Structure.toString
+                 * @returns {string} String representation of the set.
+                 */
+                toString: function()
+                {
+                    return "[" + Array.from(instance.values()).join(", ") + "]";
+                }
+            };
+        },
+
+        statics: function(module, privateStatic)
+        {
+            return {
+                /**
+                 * @param enumModule Module of an Enum.
+                 * @returns {{}} Empty set of the Enum.
+                 */
+                noneOf: function(enumModule)
+                {
+                    return module.new(enumModule);
+                },
+
+                /**
+                 * @param enumModule Module of an Enum.
+                 * @returns {{}} Set of every constant of the Enum.
+                 */
+                allOf: function(enumModule)
+                {
+                    const set = module.new(enumModule);
+                    set.addAll(enumModule.values());
+                    return set;
+                },
+
+                /**
+                 * @param constant First constant of the set.
+                 * @param constants Other constant(s) of the set, of the same Enum.
+                 * @returns {{}} Set of the constants.
+                 */
+                of: function(constant, ...constants)
+                {
+                    const set = module.new(enumOf(constant, "EnumSet.of"));
+                    set.add(constant);
+                    set.addAll(constants);
+                    return set;
+                },
+
+                /**
+                 * @param from First constant of the range.
+                 * @param to Last constant of the range, of the same Enum.
+                 * @returns {{}} Set of the constants from 'from' to 'to', inclusive.
+                 */
+                range: function(from, to)
+                {
+                    const enumModule = enumOf(from, "EnumSet.range");
+                    const set = module.new(enumModule);
+                    set.add(to);
+                    requireArgument(from.compareTo(to) <= 0, "EnumSet.range", "from must not be after to.");
+                    for (let ordinal = from.ordinal(); ordinal <= to.ordinal(); ordinal++)
+                        set.add(enumModule.get(ordinal));
+                    return set;
+                },
+
+                /**
+                 * @param set Set to copy.
+                 * @returns {{}} Set of the same Enum, holding the same constants.
+                 */
+                copyOf: function(set)
+                {
+                    requireArgument(module.hasInstance(set), "EnumSet.copyOf", "set must be an EnumSet.");
+                    const copy = module.new(set.getEnum());
+                    privateStatic.private(copy).words.set(privateStatic.private(set).words);
+                    return copy;
+                },
+
+                /**
+                 * @param set Set to complement.
+                 * @returns {{}} Set of the same Enum, holding every constant which is not in the set.
+                 */
+                complementOf: function(set)
+                {
+                    requireArgument(module.hasInstance(set), "EnumSet.complementOf", "set must be an EnumSet.");
+                    const complement = module.new(set.getEnum());
+                    for (let constant of set.getEnum())
+                        if (!set.has(constant))
+                            complement.add(constant);
+                    return complement;
+                }
+            };
+        }
+    });
+})();
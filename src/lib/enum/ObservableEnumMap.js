@@ -0,0 +1,170 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       ObservableEnumMap
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Observable enum map module.
+ * Subclass of ReadOnlyProperty.
+ * Defines an observable map whose keys are constants of a specific Enum.
+ * The value of the Property is a copy of the map, taken each time it is read.
+ * Listeners are provided copies of the map before and after each change.
+ * Changes made within a batch which fails are rolled back.
+ * @see: Property.batch
+ * @see: EnumMap
+ */
+const ObservableEnumMap = Structure.define({
+    name: "ObservableEnumMap",
+    extends: ReadOnlyProperty,
+
+    /**
+     * Public constructor.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param enumModule Module of the Enum of the map.
+     */
+    constructor: function(prot, priv, enumModule)
+    {
+        /* Underlying map. */
+        priv.collection = EnumMap.new(enumModule);
+
+        /* Applies a mutation which returns true if the map changed, records how to undo it, and notifies listeners. */
+        priv.change = (function()
+        {
+            const notify = prot.super.notify;
+
+            return function(mutate)
+            {
+                const oldValue = prot.this.get();
+                if (!mutate()) return false;
+                prot.super.journal(function()
+                {
+                    priv.collection = EnumMap.copyOf(oldValue);
+                }, function()
+                {
+                    if (priv.collection.size() !== oldValue.size()) return true;
+                    for (let [key, value] of oldValue.entries())
+                        if (!priv.collection.has(key) || priv.collection.get(key) !== value) return true;
+                    return false;
+                });
+                notify(oldValue);
+                return true;
+            };
+        })();
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * Implement abstract method 'get'.
+             * @see: ReadOnlyProperty.get
+             * @returns {{}} Copy of the map, taken when called.
+             */
+            get: function()
+            {
+                return EnumMap.copyOf(priv.collection);
+            },
+
+            /**
+             * @returns {{}} Module of the Enum of the map.
+             */
+            getEnum: function()
+            {
+                return priv.collection.getEnum();
+            },
+
+            /**
+             * Associates a value with a key.
+             * @see: EnumMap.set
+             */
+            set: function(key, value)
+            {
+                priv.change(function()
+                {
+                    if (priv.collection.has(key) && priv.collection.get(key) === value)
+                        return false;
+                    priv.collection.set(key, value);
+                    return true;
+                });
+            },
+
+            /**
+             * Removes the entry of a key.
+             * @see: EnumMap.delete
+             */
+            delete: function(key)
+            {
+                return priv.change(function()
+                {
+                    return priv.collection.delete(key);
+                });
+            },
+
+            /**
+             * Removes every entry of the map.
+             * @see: EnumMap.clear
+             */
+            clear: function()
+            {
+                priv.change(function()
+                {
+                    const changed = priv.collection.size() > 0;
+                    priv.collection.clear();
+                    return changed;
+                });
+            },
+
+            /**
+             * @see: EnumMap.has
+             */
+            has: function(key)
+            {
+                return priv.collection.has(key);
+            },
+
+            /**
+             * @see: EnumMap.size
+             */
+            size: function()
+            {
+                return priv.collection.size();
+            },
+
+            /**
+             * @see: EnumMap.entries
+             */
+            [Symbol.iterator]: function()
+            {
+                return instance.get().entries();
+            }
+        };
+    }
+});
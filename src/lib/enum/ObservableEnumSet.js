@@ -0,0 +1,184 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       ObservableEnumSet
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Observable enum set module.
+ * Subclass of ReadOnlyProperty.
+ * Defines an observable set of constants of a specific Enum.
+ * The value of the Property is a copy of the set, taken each time it is read.
+ * Listeners are provided copies of the set before and after each change.
+ * Changes made within a batch which fails are rolled back.
+ * @see: Property.batch
+ * @see: EnumSet
+ */
+const ObservableEnumSet = Structure.define({
+    name: "ObservableEnumSet",
+    extends: ReadOnlyProperty,
+
+    /**
+     * Public constructor.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param enumModule Module of the Enum of the set.
+     */
+    constructor: function(prot, priv, enumModule)
+    {
+        /* Underlying set. */
+        priv.collection = EnumSet.new(enumModule);
+
+        /* Applies a mutation which returns true if the set changed, records how to undo it, and notifies listeners. */
+        priv.change = (function()
+        {
+            const notify = prot.super.notify;
+
+            return function(mutate)
+            {
+                const oldValue = prot.this.get();
+                if (!mutate()) return false;
+                prot.super.journal(function()
+                {
+                    priv.collection = EnumSet.copyOf(oldValue);
+                }, function()
+                {
+                    return !priv.collection.equals(oldValue);
+                });
+                notify(oldValue);
+                return true;
+            };
+        })();
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * Implement abstract method 'get'.
+             * @see: ReadOnlyProperty.get
+             * @returns {{}} Copy of the set, taken when called.
+             */
+            get: function()
+            {
+                return EnumSet.copyOf(priv.collection);
+            },
+
+            /**
+             * @returns {{}} Module of the Enum of the set.
+             */
+            getEnum: function()
+            {
+                return priv.collection.getEnum();
+            },
+
+            /**
+             * Adds a constant to the set.
+             * @see: EnumSet.add
+             */
+            add: function(constant)
+            {
+                return priv.change(function()
+                {
+                    return priv.collection.add(constant);
+                });
+            },
+
+            /**
+             * Adds every constant of an iterable to the set.
+             * @see: EnumSet.addAll
+             */
+            addAll: function(constants)
+            {
+                return priv.change(function()
+                {
+                    return priv.collection.addAll(constants);
+                });
+            },
+
+            /**
+             * Removes a constant from the set.
+             * @see: EnumSet.remove
+             */
+            remove: function(constant)
+            {
+                return priv.change(function()
+                {
+                    return priv.collection.remove(constant);
+                });
+            },
+
+            /**
+             * Removes every constant from the set.
+             * @see: EnumSet.clear
+             */
+            clear: function()
+            {
+                priv.change(function()
+                {
+                    const changed = !priv.collection.isEmpty();
+                    priv.collection.clear();
+                    return changed;
+                });
+            },
+
+            /**
+             * @see: EnumSet.has
+             */
+            has: function(constant)
+            {
+                return priv.collection.has(constant);
+            },
+
+            /**
+             * @see: EnumSet.size
+             */
+            size: function()
+            {
+                return priv.collection.size();
+            },
+
+            /**
+             * @see: EnumSet.values
+             */
+            values: function()
+            {
+                return instance.get().values();
+            },
+
+            /**
+             * @see: EnumSet.values
+             */
+            [Symbol.iterator]: function()
+            {
+                return instance.values();
+            }
+        };
+    }
+});
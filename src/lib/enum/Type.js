@@ -33,72 +33,98 @@ SOFTWARE.
  * Subclass of Enum.
  * Defines an Enum to replace String type constants.
  */
-const Type = (function()
-{
-    /* Module design pattern. */
-    const module = { };
+const Type = Enum.define({
+    name: "Type",
 
-    /* Private and protected static member(s). */
-    const privateStatic = Enum.extend(module);
-    const protectedStatic = privateStatic.protected;
-
-    /* Private constructor. */
-    const construct = function(name)
+    publicMembers: function(prot)
     {
-        assert(Boolean(name));
-        assert(typeof name === "string");
-
-        const prot = protectedStatic.new();
         const instance = prot.this;
 
-        /**
-         * @returns {string} Name of the Type instance.
-         */
-        instance.getName = function()
-        {
-            return name;
+        return {
+            /**
+             * @returns {string} Name of the Type instance in lower case, as returned by 'typeof' for primitives.
+             */
+            getName: function()
+            {
+                return instance.name().toLowerCase();
+            },
+
+            /**
+             * Override toString.
+             * @see Structure.toString
+             * @returns {string} String representation of the Type.
+             */
+            toString: function()
+            {
+                return instance.getName();
+            }
         };
-
-        /**
-         * Override toString.
-         * @see Structure.toString
-         * @type {string} String representation of the Type.
-         */
-        instance.toString = instance.getName;
-
-        return Object.freeze(instance);
-    };
+    },
 
     /* Enum constant(s). */
-    module.BOOLEAN = construct("boolean");
-    module.FUNCTION = construct("function");
-    module.UNDEFINED = construct("undefined");
-    module.NUMBER = construct("number");
-    module.STRING = construct("string");
-    module.SYMBOL = construct("symbol");
-    module.OBJECT = construct("object");
-
-    /**
-     * Determines a variable's data type in terms of Type enum instances.
-     * Used as a replacement for 'typeof'.
-     * @returns {{}} Type instance corresponding to the variable's type.
-     */
-    module.of = (function()
+    constants: {
+        BOOLEAN: [ ],
+        FUNCTION: [ ],
+        UNDEFINED: [ ],
+        NUMBER: [ ],
+        STRING: [ ],
+        SYMBOL: [ ],
+        OBJECT: [ ],
+        NULL: [ ],
+        BIGINT: [ ],
+        ARRAY: [ ],
+        STRUCTURE: [ ]
+    },
+
+    statics: function(module)
     {
-        const fromString = new Map();
-
-        for (let i = 0; i < module.values(); i++)
-        {
-            const type = module.get(i);
-            fromString.set(type.getName(), type);
-        }
-
-        return function(variable)
-        {
-            assert(variable !== null);
-            return fromString.get(typeof variable);
+        return {
+            /**
+             * Determines a variable's data type in terms of Type enum instances.
+             * Used as a replacement for 'typeof', which also distinguishes
+             * null, arrays and Structure instances from other objects.
+             * @see: Type.instanceOf
+             * @param variable Variable to classify.
+             * @returns {{}} Type instance corresponding to the variable's type.
+             */
+            of: (function()
+            {
+                const fromString = new Map();
+
+                for (let type of module.values())
+                    fromString.set(type.getName(), type);
+
+                return function(variable)
+                {
+                    if (variable === null)
+                        return module.NULL;
+                    if (Array.isArray(variable))
+                        return module.ARRAY;
+                    const type = fromString.get(typeof variable);
+                    if (type === module.OBJECT && Structure.hasInstance(variable))
+                        return module.STRUCTURE;
+                    return type;
+                };
+            })(),
+
+            /**
+             * Determines if a variable is an instance of a class.
+             * The class is either a Structure module (such as Property),
+             * an Interface (such as Observable), or a native constructor (such as Map).
+             * @param variable Variable to check.
+             * @param type Structure module, Interface or constructor.
+             * @returns {boolean} True if the variable is an instance of the class.
+             */
+            instanceOf: function(variable, type)
+            {
+                if (typeof type === "function")
+                    return variable instanceof type;
+                if (Interface.hasInstance(type))
+                    return type.isImplementedBy(variable);
+                requireArgument(Boolean(type) && typeof type.hasInstance === "function", "Type.instanceOf",
+                    "type must be a Structure module, an Interface or a constructor.");
+                return variable !== null && typeof variable === "object" && type.hasInstance(variable);
+            }
         };
-    })();
-
-    return Object.freeze(module);
-})();
+    }
+});
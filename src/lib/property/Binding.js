@@ -33,14 +33,9 @@ SOFTWARE.
  * Subclass of ReadOnlyProperty.
  * Defines a Property which is bound to a Property expression.
  */
-const Binding = (function()
-{
-    /* Module design pattern. */
-    const module = { };
-
-    /* Private and protected static member(s). */
-    const privateStatic = Object.freeze(ReadOnlyProperty.extend(module));
-    const protectedStatic = Object.freeze(privateStatic.protected);
+const Binding = Structure.define({
+    name: "Binding",
+    extends: ReadOnlyProperty,
 
     /**
      * Public constructor.
@@ -48,72 +43,440 @@ const Binding = (function()
      * The compute function will be called when the binding is created,
      * and whenever any of the observed values change their value.
      * Due to the limitations of the JavaScript language, once a binding is created
-     * it or any of the observed values cannot be deconstructed until 'unbind' is called.
+     * it or any of the observed values cannot be deconstructed until 'dispose' is called.
+     * The binding disposes itself once any of its observed values is disposed.
      * This is due to the listener being a strong reference, which is given to the observable.
-     * @param compute Function which computes the current value of the Binding.
-     * @param observables Properties in which changes dictate a re-calculation of the binding.
-     * @returns {ReadonlyArray<{}>} Binding instance.
+     * Instead of the compute function, an options object can be provided:
+     * -> compute: Function which computes the current value of the Binding.
+     * -> equals: Optional equality comparator of values, defaults to '==='.
+     * -> weak: Optional flag, true to subscribe to the observables weakly.
+     * -> tracked: Optional flag, true to record the observables while the binding is computed.
+     * -> lazy: Optional flag, true to recompute the binding on 'get' rather than on every change.
+     * A weak binding is not kept alive by its observed values: once nothing
+     * references it, it is garbage collected and detached automatically.
+     * While it has change or invalidation listeners of its own, other than weak ones,
+     * it subscribes strongly instead, so a binding which is only held by its listeners
+     * keeps being notified. Intermediate bindings of an expression remain weak.
+     * Observables without 'addWeakListener' are still subscribed to strongly, and keep it alive.
+     * A tracked binding is not given any observables, @see Binding.computed
+     * A lazy binding is only invalidated when an observed value changes, which notifies
+     * its invalidation listeners, and is recomputed by the next call to 'get'.
+     * Change listeners of a lazy binding need its new value, so while it has any,
+     * it is recomputed on every change like any other binding.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param compute Function which computes the current value of the Binding, or options object.
+     * @param observables Observables in which changes dictate a re-calculation of the binding.
      */
-    module.new = function(compute, ...observables)
+    constructor: function(prot, priv, compute, ...observables)
     {
-        assert(Boolean(compute));
-        assert(Type.of(compute) === Type.FUNCTION);
+        const options = Type.of(compute) === Type.OBJECT ? compute : { compute: compute };
+        compute = options.compute;
+        requireArgument(Type.of(compute) === Type.FUNCTION, "Binding.new", "compute must be a function.");
+        const equals = options.equals === undefined
+            ? function(a, b)
+            {
+                return a === b;
+            }
+            : options.equals;
+        requireArgument(Type.of(equals) === Type.FUNCTION, "Binding.new", "equals must be a function.");
+        const weak = options.weak === true;
+        const tracked = options.tracked === true;
+        const lazy = options.lazy === true;
         /* Ensure all observable values are unique. */
-        observables = new Set(observables);
-        assert(observables.size > 0);
+        const unique = new Set(observables);
+        if (tracked)
+            requireArgument(unique.size === 0, "Binding.new", "tracked bindings record their own observables.");
+        else requireArgument(unique.size > 0, "Binding.new", "at least one observable is required.");
+        for (let o of unique)
+            requireArgument(Type.instanceOf(o, Observable), "Binding.new", "observables must implement Observable.");
+        /* Observables in which changes dictate a re-calculation of the binding. */
+        priv.observables = new Set();
+
+        /* Re-calculates the binding once its observed values have changed, notifying if its value changed. */
+        const recompute = (function()
+        {
+            const notify = prot.super.notify;
+
+            return function()
+            {
+                if (lazy && !prot.super.hasListeners())
+                {
+                    if (!priv.valid) return;
+                    priv.valid = false;
+                    prot.super.invalidate();
+                    return;
+                }
+
+                const oldValue = priv.value;
+                priv.value = priv.compute();
+                priv.valid = true;
+                if (!equals(oldValue, priv.value))
+                    notify(oldValue);
+            };
+        })();
 
-        /* Last calculated value of the binding. */
-        let value = compute();
+        /* Schedules the binding to be re-calculated when an observed value changes. */
+        priv.listener = prot.super.depend(recompute, priv.observables);
 
-        /* Implement abstract method 'get'. */
-        const prot = protectedStatic.new(function()
+        /* Disposes the binding when an observed value is disposed. */
+        priv.disposedCallback = function()
         {
-            return value;
-        });
-        const instance = prot.this;
+            prot.this.dispose();
+        };
 
-        /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
+        /* True while a weak binding has listeners, other than weak ones, and is thus subscribed to strongly. */
+        priv.listened = false;
 
-        /**
-         * Unbinds this binding, canceling future updates.
-         * A binding should be unbound when no longer used,
-         * as it maintains strong references to its observed
-         * values and will not allow them to be garbage collected.
-         * TODO: Standardize the 'unbind' from Property and Binding.
+        /* Starts observing an observable. */
+        priv.subscribe = function(o)
+        {
+            if (weak && !priv.listened && Type.of(o.addWeakListener) === Type.FUNCTION)
+            {
+                o.addWeakListener(priv.listener);
+                if (Type.of(o.addWeakDisposeListener) === Type.FUNCTION)
+                    o.addWeakDisposeListener(priv.disposedCallback);
+            }
+            else
+            {
+                o.addListener(priv.listener);
+                if (Type.of(o.addDisposeListener) === Type.FUNCTION)
+                    o.addDisposeListener(priv.disposedCallback);
+            }
+            priv.observables.add(o);
+        };
+
+        /* Stops observing an observable. */
+        priv.unsubscribe = function(o)
+        {
+            priv.observables.delete(o);
+            /* Disposed observables have already released their listeners. */
+            if (Type.of(o.isDisposed) === Type.FUNCTION && o.isDisposed())
+                return;
+            o.removeListener(priv.listener);
+            if (Type.of(o.removeDisposeListener) === Type.FUNCTION)
+                o.removeDisposeListener(priv.disposedCallback);
+        };
+
+        /*
+         * Calculates the value of the binding, re-collecting its observables if it is tracked.
+         * Values read by a binding which is not tracked are not recorded by a tracked binding reading it.
          */
-        instance.unbind = (function()
+        priv.compute = function()
         {
-            const listener = (function()
+            if (!tracked)
+                return ReadOnlyProperty.untracked(compute);
+
+            const result = ReadOnlyProperty.track(compute);
+            result.dependencies.delete(prot.this);
+            for (let o of Array.from(priv.observables))
+                if (!result.dependencies.has(o))
+                    priv.unsubscribe(o);
+            for (let o of result.dependencies)
+                if (!priv.observables.has(o))
+                    priv.subscribe(o);
+            return result.value;
+        };
+
+        /* Subscribes again to every observable, strongly while the binding is listened to, weakly otherwise. */
+        if (weak)
+            prot.super.watchListeners(function(listened)
             {
-                const notify = prot.super.notify;
+                priv.listened = listened;
+                for (let o of Array.from(priv.observables))
+                {
+                    priv.unsubscribe(o);
+                    priv.subscribe(o);
+                }
+            });
 
-                return function()
+        /* Last calculated value of the binding, null until a lazy binding is first computed. */
+        priv.value = lazy ? null : priv.compute();
+        /* True if the value of the binding is up to date. */
+        priv.valid = !lazy;
+        for (let o of unique)
+            priv.subscribe(o);
+    },
+
+    publicMembers: function(prot, priv)
+    {
+        const instance = prot.this;
+
+        return {
+            /**
+             * Implement abstract method 'get'.
+             * @see: ReadOnlyProperty.get
+             * Lazy bindings which were invalidated are recomputed first.
+             * @returns {*} Current value of the Binding.
+             */
+            get: function()
+            {
+                if (!priv.valid)
                 {
-                    const oldValue = value;
-                    value = compute();
-                    if (oldValue !== value)
-                        notify(oldValue);
-                };
-            })();
+                    priv.value = priv.compute();
+                    priv.valid = true;
+                }
+                return priv.value;
+            },
 
-            for (let o of observables)
+            /**
+             * @returns {boolean} True if the value of the Binding is up to date,
+             * false if it is lazy and has been invalidated since its last calculation.
+             */
+            isValid: function()
             {
-                assert(Boolean(o));
-                assert(Type.of(o) === Type.OBJECT);
-                assert(ReadOnlyProperty.hasInstance(o));
-                o.addListener(listener);
-            }
+                return priv.valid;
+            },
 
-            return function()
+            /**
+             * Override asBinding.
+             * @see: ReadOnlyProperty.asBinding
+             * @returns {{}} This Binding.
+             */
+            asBinding: function()
             {
-                for (let o of observables)
-                    o.removeListener(listener);
-                observables.clear();
-            };
-        })();
+                return instance;
+            },
 
-        return Object.freeze(instance);
-    };
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding of the sum of this Binding and the operand.
+             */
+            add: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a + b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding of the difference of this Binding and the operand.
+             */
+            subtract: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a - b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding of the product of this Binding and the operand.
+             */
+            multiply: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a * b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding of the quotient of this Binding and the operand.
+             */
+            divide: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a / b;
+                }, instance, operand);
+            },
 
-    return Object.freeze(module);
-})();
+            /**
+             * @returns {{}} Binding of the negation of this Binding.
+             */
+            negate: function()
+            {
+                return Bindings.derive(function(a)
+                {
+                    return -a;
+                }, instance);
+            },
+
+            /**
+             * Values are compared with Structure.equals.
+             * @see: Structure.equals
+             * @param operand Observable or constant value.
+             * @returns {{}} Binding which is true while this Binding is equal to the operand.
+             */
+            isEqualTo: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return Structure.equals(a, b);
+                }, instance, operand);
+            },
+
+            /**
+             * @see: Binding.isEqualTo
+             * @param operand Observable or constant value.
+             * @returns {{}} Binding which is true while this Binding is not equal to the operand.
+             */
+            isNotEqualTo: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return !Structure.equals(a, b);
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding which is true while this Binding is greater than the operand.
+             */
+            greaterThan: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a > b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding which is true while this Binding is greater than or equal to the operand.
+             */
+            greaterThanOrEqualTo: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a >= b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding which is true while this Binding is less than the operand.
+             */
+            lessThan: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a < b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant number.
+             * @returns {{}} Binding which is true while this Binding is less than or equal to the operand.
+             */
+            lessThanOrEqualTo: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return a <= b;
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant boolean.
+             * @returns {{}} Binding of the logical conjunction of this Binding and the operand.
+             */
+            and: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return Boolean(a && b);
+                }, instance, operand);
+            },
+
+            /**
+             * @param operand Observable or constant boolean.
+             * @returns {{}} Binding of the logical disjunction of this Binding and the operand.
+             */
+            or: function(operand)
+            {
+                return Bindings.derive(function(a, b)
+                {
+                    return Boolean(a || b);
+                }, instance, operand);
+            },
+
+            /**
+             * @returns {{}} Binding of the logical negation of this Binding.
+             */
+            not: function()
+            {
+                return Bindings.derive(function(a)
+                {
+                    return !a;
+                }, instance);
+            },
+
+            /**
+             * @see: Bindings.concat
+             * @param operands Observables or constant values.
+             * @returns {{}} Binding of this Binding concatenated with the operands, as a string.
+             */
+            concat: function(...operands)
+            {
+                return Bindings.concat(instance, ...operands);
+            },
+
+            /**
+             * @returns {{}} Binding of the string representation of this Binding.
+             */
+            asString: function()
+            {
+                return Bindings.derive(String, instance);
+            },
+
+            /**
+             * Unbinds this binding, canceling future updates.
+             * Equivalent to 'dispose', as a binding cannot be rebound.
+             * @see: Binding.dispose
+             */
+            unbind: function()
+            {
+                instance.dispose();
+            },
+
+            /**
+             * Override dispose.
+             * Detaches this binding from its observed values, canceling future updates.
+             * A binding should be disposed when no longer used,
+             * as it maintains strong references to its observed
+             * values and will not allow them to be garbage collected.
+             * @see: ReadOnlyProperty.dispose
+             */
+            dispose: (function()
+            {
+                const dispose = instance.dispose;
+
+                return function()
+                {
+                    if (instance.isDisposed()) return;
+                    for (let o of Array.from(priv.observables))
+                        priv.unsubscribe(o);
+                    dispose();
+                };
+            })()
+        };
+    },
+
+    statics: function(module)
+    {
+        return {
+            /**
+             * Creates a binding whose observables are recorded automatically.
+             * Every Property whose 'get' is called while the binding is computed becomes
+             * an observable of the binding. They are recorded again on each calculation,
+             * so that conditional branches observe exactly the values which were read.
+             * @see: ReadOnlyProperty.track
+             * @param compute Function which computes the current value of the Binding, or options object.
+             * @returns {{}} Binding of the computed value.
+             */
+            computed: function(compute)
+            {
+                const options = Type.of(compute) === Type.OBJECT
+                    ? Object.assign({ }, compute) : { compute: compute };
+                options.tracked = true;
+                return module.new(options);
+            }
+        };
+    }
+});
@@ -0,0 +1,146 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       Bindings
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Bindings module.
+ * Defines the static helper(s) of fluent binding expressions.
+ * Operands of an expression are either Observables, whose current value
+ * is used and whose changes recompute the expression, or constant values.
+ * Bindings created by expressions subscribe weakly to their operands,
+ * so intermediate bindings of an expression are garbage collected
+ * along with the expression, without having to be disposed.
+ * An expression which has listeners subscribes strongly, @see Binding.new
+ */
+const Bindings = (function()
+{
+    /* Module design pattern. */
+    const module = { };
+
+    /* Returns true if the operand is observed by expressions, rather than constant. */
+    const isObservable = function(operand)
+    {
+        return Type.instanceOf(operand, Observable);
+    };
+
+    /* Returns the current value of an operand. */
+    const valueOf = function(operand)
+    {
+        return isObservable(operand) ? operand.get() : operand;
+    };
+
+    /**
+     * Creates a Binding which combines the values of operands.
+     * The Binding depends on every operand which is Observable,
+     * at least one of which must be provided.
+     * @param combine Function(...values) which computes the value of the Binding.
+     * @param operands Observables or constant values to be combined.
+     * @returns {{}} Binding of the combined value.
+     */
+    module.derive = function(combine, ...operands)
+    {
+        requireArgument(Type.of(combine) === Type.FUNCTION, "Bindings.derive", "combine must be a function.");
+        const observables = operands.filter(isObservable);
+        requireArgument(observables.length > 0, "Bindings.derive", "at least one operand must be Observable.");
+
+        return Binding.new({
+            compute: function()
+            {
+                return combine(...operands.map(valueOf));
+            },
+            weak: true
+        }, ...observables);
+    };
+
+    /**
+     * Conditional expression, in the form of 'when(condition).then(a).otherwise(b)'.
+     * @param condition Observable or constant boolean condition.
+     * @returns {{then: function}} Builder of the conditional expression.
+     */
+    module.when = function(condition)
+    {
+        return Object.freeze({
+            /**
+             * @param value Value of the expression while the condition is true.
+             * @returns {{otherwise: function}} Builder of the conditional expression.
+             */
+            then: function(value)
+            {
+                return Object.freeze({
+                    /**
+                     * @param other Value of the expression while the condition is false.
+                     * @returns {{}} Binding of the conditional expression.
+                     */
+                    otherwise: function(other)
+                    {
+                        return module.derive(function(c, a, b)
+                        {
+                            return c ? a : b;
+                        }, condition, value, other);
+                    }
+                });
+            }
+        });
+    };
+
+    /**
+     * Concatenates the string representations of operands.
+     * @param operands Observables or constant values to be concatenated.
+     * @returns {{}} Binding of the concatenated string.
+     */
+    module.concat = function(...operands)
+    {
+        return module.derive(function(...values)
+        {
+            return values.map(String).join("");
+        }, ...operands);
+    };
+
+    /**
+     * Formats operands into a template, whose placeholders are
+     * the indices of the operands in braces, such as '{0} of {1}'.
+     * @param template Template string of the format.
+     * @param operands Observables or constant values to be formatted.
+     * @returns {{}} Binding of the formatted string.
+     */
+    module.format = function(template, ...operands)
+    {
+        requireArgument(Type.of(template) === Type.STRING, "Bindings.format", "template must be a string.");
+
+        return module.derive(function(...values)
+        {
+            return template.replace(/\{(\d+)\}/g, function(placeholder, index)
+            {
+                return index < values.length ? String(values[index]) : placeholder;
+            });
+        }, ...operands);
+    };
+
+    return Object.freeze(module);
+})();
@@ -0,0 +1,117 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       BooleanProperty
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Boolean property module.
+ * Subclass of ReadOnlyPropertyWrapper
+ * Defines a Property for boolean values.
+ */
+const BooleanProperty = (function()
+{
+    return Structure.define({
+        name: "BooleanProperty",
+        extends: ReadOnlyPropertyWrapper,
+        contracts: {
+            new: { params: { value: Contract.optional(Type.BOOLEAN) } }
+        },
+
+        /**
+         * @param value Initial value of the Property, false if omitted.
+         * @returns {Array} Arguments of the super constructor.
+         */
+        super: function(value)
+        {
+            if (value === undefined)
+                value = false;
+            return [ value, undefined, Type.BOOLEAN ];
+        },
+
+        publicMembers: function(prot)
+        {
+            const instance = prot.this;
+
+            return {
+                /**
+                 * Negates the Property.
+                 */
+                toggle: function()
+                {
+                    instance.set(!instance.get());
+                },
+
+                /**
+                 * @see: Binding.and
+                 * @param operand Observable or constant boolean.
+                 * @returns {{}} Binding of the logical conjunction of this Property and the operand.
+                 */
+                and: function(operand)
+                {
+                    return instance.asBinding().and(operand);
+                },
+
+                /**
+                 * @see: Binding.or
+                 * @param operand Observable or constant boolean.
+                 * @returns {{}} Binding of the logical disjunction of this Property and the operand.
+                 */
+                or: function(operand)
+                {
+                    return instance.asBinding().or(operand);
+                },
+
+                /**
+                 * @see: Binding.not
+                 * @returns {{}} Binding of the logical negation of this Property.
+                 */
+                not: function()
+                {
+                    return instance.asBinding().not();
+                }
+            };
+        }
+    });
+})();
+
+/* Serialized by value, the binding of the Property is not serialized. */
+Structure.serializable(BooleanProperty, {
+    tag: "BooleanProperty",
+    toJSON: function(property, write)
+    {
+        return write(property.get());
+    },
+    create: function()
+    {
+        return BooleanProperty.new();
+    },
+    fromJSON: function(data, read, property)
+    {
+        property.set(read(data));
+    }
+});
@@ -35,104 +35,218 @@ SOFTWARE.
  */
 const NumberProperty = (function()
 {
-    /* Module design pattern. */
-    const module = { };
-
-    /* Private and protected static member(s). */
-    const privateStatic = Object.freeze(ReadOnlyPropertyWrapper.extend(module));
-    const protectedStatic = Object.freeze(privateStatic.protected);
-
     /* Returns true if the parameter is a valid number. */
     const isNumber = function(num)
     {
-        return num !== undefined && num !== null && Type.of(num) === Type.NUMBER;
+        return Type.of(num) === Type.NUMBER;
     };
 
-    module.new = function(value)
-    {
-        if (value === undefined)
-            value = 0;
-        assert(isNumber(value));
-
-        const prot = protectedStatic.new(value);
-        const instance = prot.this;
-
-        /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
-
-        /**
-         * Override set.
-         * @see: Property.set
-         */
-        instance.set = (function()
-        {
-            const set = instance.set;
+    /* Policies of values outside of the range of the Property. */
+    const RANGE_POLICIES = [ "reject", "clamp" ];
+    /* Policies of NaN and Infinity. */
+    const NON_FINITE_POLICIES = [ "allow", "reject" ];
 
-            return function(newValue)
-            {
-                assert(isNumber(newValue));
-                set(newValue);
-            };
-        })();
-
-        /**
-         * Adds a number to the Property.
-         * @param summand Number to be added.
-         */
-        instance.add = function(summand)
-        {
-            assert(isNumber(summand));
-            instance.set(instance.get() + summand);
-        };
-
-        /**
-         * Subtracts a number from the Property.
-         * @param subtrahend Number to be subtracted.
-         */
-        instance.subtract = function(subtrahend)
-        {
-            assert(isNumber(subtrahend));
-            instance.set(instance.get() - subtrahend);
-        };
+    /* Checks the options of a Property, filling in their defaults. */
+    const parseOptions = function(options)
+    {
+        const source = "NumberProperty.new";
+        options = Object.assign({
+            min: -Infinity,
+            max: Infinity,
+            range: "reject",
+            integer: false,
+            step: null,
+            precision: null,
+            nonFinite: "allow"
+        }, options);
+        requireArgument(isNumber(options.min) && isNumber(options.max) && options.min <= options.max,
+            source, "min and max must be numbers, and min must not exceed max.");
+        requireArgument(RANGE_POLICIES.includes(options.range),
+            source, "range must be one of " + RANGE_POLICIES.join(", ") + ".");
+        requireArgument(Type.of(options.integer) === Type.BOOLEAN, source, "integer must be a boolean.");
+        requireArgument(options.step === null || isNumber(options.step) && options.step > 0
+            && Number.isFinite(options.step), source, "step must be a positive number.");
+        requireArgument(options.precision === null || Number.isInteger(options.precision)
+            && options.precision >= 0 && options.precision <= 100,
+            source, "precision must be an integer between 0 and 100.");
+        requireArgument(NON_FINITE_POLICIES.includes(options.nonFinite),
+            source, "nonFinite must be one of " + NON_FINITE_POLICIES.join(", ") + ".");
+        return Object.freeze(options);
+    };
 
-        /**
-         * Multiplies the Property by a number.
-         * @param factor Number to multiply by.
-         */
-        instance.multiply = function(factor)
-        {
-            assert(isNumber(factor));
-            instance.set(instance.get() * factor);
-        };
+    return Structure.define({
+        name: "NumberProperty",
+        extends: ReadOnlyPropertyWrapper,
+        contracts: {
+            new: { params: { value: Contract.optional(Type.NUMBER), options: Contract.optional(Type.OBJECT) } },
+            add: { params: { summand: Type.NUMBER } },
+            subtract: { params: { subtrahend: Type.NUMBER } },
+            multiply: { params: { factor: Type.NUMBER } },
+            divide: { params: { divisor: Type.NUMBER } }
+        },
 
         /**
-         * Divides the Property by a number.
-         * @param divisor Number to divide by.
+         * @param value Initial value of the Property, zero if omitted.
+         * @returns {Array} Arguments of the super constructor.
          */
-        instance.divide = function(divisor)
+        super: function(value)
         {
-            assert(isNumber(divisor));
-            assert(divisor !== 0);
-            instance.set(instance.get() / divisor);
-        };
+            if (value === undefined)
+                value = 0;
+            return [ value, undefined, Type.NUMBER ];
+        },
 
         /**
-         * Increments the Property.
+         * Public constructor.
+         * Options constrain every value of the Property, whether it is set, computed by
+         * an operation, or received from a binding. The options have the following members:
+         * -> min: Smallest value of the Property, defaults to -Infinity.
+         * -> max: Largest value of the Property, defaults to Infinity.
+         * -> range: "reject" to refuse values outside of [min, max], or "clamp" to bring them within it.
+         * -> integer: True if values which are not integers are refused.
+         * -> step: Values are rounded to the nearest multiple of step, counted from min if it is finite.
+         * -> precision: Values are rounded to the given number of decimal places, after the step.
+         * -> nonFinite: "allow" to accept NaN and Infinity, or "reject" to refuse them.
+         * Values outside of a range are clamped after they are rounded, and NaN is outside of any range.
+         * If the value is omitted, it is zero, brought within the range.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param value Initial value of the Property.
+         * @param options Optional constraints of the Property.
          */
-        instance.increment = function()
+        constructor: function(prot, priv, value, options)
         {
-            instance.add(1);
-        };
-
-        /**
-         * Decrements the Property.
-         */
-        instance.decrement = function()
+            const instance = prot.this;
+            options = parseOptions(options);
+            /* Constraints of the Property, with their defaults filled in. */
+            priv.options = options;
+            const bounded = options.min > -Infinity || options.max < Infinity;
+            const range = options.max === Infinity ? "at least " + options.min
+                : options.min === -Infinity ? "at most " + options.max
+                : "between " + options.min + " and " + options.max;
+
+            if (options.nonFinite === "reject")
+                instance.addValidator(function(value)
+                {
+                    if (!Number.isFinite(value))
+                        return "value must be finite.";
+                });
+            if (options.integer)
+                instance.addValidator(function(value)
+                {
+                    if (Number.isFinite(value) && !Number.isInteger(value))
+                        return "value must be an integer.";
+                });
+            if (bounded)
+                instance.addValidator(function(value)
+                {
+                    if (!(value >= options.min && value <= options.max))
+                        return "value must be " + range + ".";
+                });
+
+            if (options.step !== null)
+                instance.addCoercer(function(value)
+                {
+                    const origin = Number.isFinite(options.min) ? options.min : 0;
+                    return Number.isFinite(value)
+                        ? origin + Math.round((value - origin) / options.step) * options.step : value;
+                });
+            if (options.precision !== null)
+                instance.addCoercer(function(value)
+                {
+                    return Number.isFinite(value) ? Number(value.toFixed(options.precision)) : value;
+                });
+            if (options.range === "clamp" && bounded)
+                instance.addCoercer(function(value)
+                {
+                    return isNumber(value) ? Math.min(Math.max(value, options.min), options.max) : value;
+                });
+
+            if (value === undefined)
+                value = Math.min(Math.max(0, options.min), options.max);
+            instance.set(value);
+        },
+
+        publicMembers: function(prot, priv)
         {
-            instance.subtract(1);
-        };
-
-        return Object.freeze(instance);
-    };
-
-    return Object.freeze(module);
+            const instance = prot.this;
+
+            return {
+                /**
+                 * @see: NumberProperty.new
+                 * @returns {Readonly<{}>} Constraints of the Property, with their defaults filled in.
+                 */
+                getOptions: function()
+                {
+                    return priv.options;
+                },
+
+                /**
+                 * Adds a number to the Property.
+                 * @param summand Number to be added.
+                 */
+                add: function(summand)
+                {
+                    instance.set(instance.get() + summand);
+                },
+
+                /**
+                 * Subtracts a number from the Property.
+                 * @param subtrahend Number to be subtracted.
+                 */
+                subtract: function(subtrahend)
+                {
+                    instance.set(instance.get() - subtrahend);
+                },
+
+                /**
+                 * Multiplies the Property by a number.
+                 * @param factor Number to multiply by.
+                 */
+                multiply: function(factor)
+                {
+                    instance.set(instance.get() * factor);
+                },
+
+                /**
+                 * Divides the Property by a number.
+                 * @param divisor Number to divide by.
+                 */
+                divide: function(divisor)
+                {
+                    requireArgument(divisor !== 0, "NumberProperty.divide", "divisor must not be zero.");
+                    instance.set(instance.get() / divisor);
+                },
+
+                /**
+                 * Increments the Property.
+                 */
+                increment: function()
+                {
+                    instance.add(1);
+                },
+
+                /**
+                 * Decrements the Property.
+                 */
+                decrement: function()
+                {
+                    instance.subtract(1);
+                }
+            };
+        }
+    });
 })();
+
+/* Serialized by value along with its constraints, the binding of the Property is not serialized. */
+Structure.serializable(NumberProperty, {
+    tag: "NumberProperty",
+    toJSON: function(property, write)
+    {
+        return { value: write(property.get()), options: write(property.getOptions()) };
+    },
+    fromJSON: function(data, read)
+    {
+        return NumberProperty.new(read(data.value), read(data.options));
+    }
+});
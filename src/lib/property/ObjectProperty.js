@@ -0,0 +1,129 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       ObjectProperty
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * Object property module.
+ * Subclass of ReadOnlyPropertyWrapper
+ * Defines a Property for instances of a Structure class, or null.
+ */
+const ObjectProperty = (function()
+{
+    /* Returns true if the parameter is the module of a Structure class. */
+    const isClass = function(classModule)
+    {
+        return Boolean(classModule) && Type.of(classModule.hasInstance) === Type.FUNCTION
+            && Type.of(classModule.extend) === Type.FUNCTION;
+    };
+
+    return Structure.define({
+        name: "ObjectProperty",
+        extends: ReadOnlyPropertyWrapper,
+        final: [ "getType" ],
+
+        /**
+         * @param classModule Module of the class of the values.
+         * @param value Initial value of the Property, null if omitted.
+         * @returns {Array} Arguments of the super constructor.
+         */
+        super: function(classModule, value)
+        {
+            requireArgument(isClass(classModule),
+                "ObjectProperty.new", "classModule must be the module of a Structure class.");
+            if (value === undefined)
+                value = null;
+            return [ value, undefined, Contract.nullable(classModule) ];
+        },
+
+        /**
+         * Public constructor.
+         * The Property only holds null or instances of the class, including instances of its subclasses.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param classModule Module of the class of the values.
+         */
+        constructor: function(prot, priv, classModule)
+        {
+            /* Module of the class of the values. */
+            priv.type = classModule;
+        },
+
+        publicMembers: function(prot, priv)
+        {
+            return {
+                /**
+                 * @returns {{}} Module of the class of the values.
+                 */
+                getType: function()
+                {
+                    return priv.type;
+                }
+            };
+        }
+    });
+})();
+
+/*
+ * Serialized by value along with its class, the binding of the Property is not serialized.
+ * The class is identified by the tag of its serializer, or by its name if it is not serializable,
+ * in which case no other class may have the same name.
+ */
+Structure.serializable(ObjectProperty, {
+    tag: "ObjectProperty",
+    toJSON: function(property, write)
+    {
+        const classModule = property.getType();
+        const tag = Structure.tagOf(classModule);
+        return tag !== undefined
+            ? { tag: tag, value: write(property.get()) }
+            : { name: classModule.getName(), value: write(property.get()) };
+    },
+    fromJSON: function(data, read)
+    {
+        let classModule;
+        if (data.tag !== undefined)
+        {
+            classModule = Structure.classOfTag(data.tag);
+            if (classModule === undefined)
+                throw new SerializationError("Structure.deserialize: unknown type tag '" + data.tag + "' of an ObjectProperty.");
+        }
+        else
+        {
+            const classes = Structure.classes().filter(function(c)
+            {
+                return c.getName() === data.name;
+            });
+            if (classes.length !== 1)
+                throw new SerializationError("Structure.deserialize: " + (classes.length === 0 ? "no" : classes.length)
+                    + " classes are named '" + data.name + "', the class of an ObjectProperty is ambiguous.");
+            classModule = classes[0];
+        }
+        return ObjectProperty.new(classModule, read(data.value));
+    }
+});
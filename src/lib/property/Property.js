@@ -33,143 +33,438 @@ SOFTWARE.
  * Subclass of ReadOnlyProperty.
  * Defines a mutable subscriber producer object pattern.
  */
-const Property = (function()
-{
-    /* Module design pattern. */
-    const module = { };
+const Property = Structure.define({
+    name: "Property",
+    extends: ReadOnlyProperty,
+    final: [ "isBound", "unbind", "bind", "bindBidirectional", "unbindBidirectional",
+        "addValidator", "removeValidator", "addCoercer", "removeCoercer", "errors", "isValid" ],
 
-    /* Private and protected static member(s). */
-    const privateStatic = Object.freeze(ReadOnlyProperty.extend(module));
-    const protectedStatic = privateStatic.protected;
-
-    /* Protected constructor. */
-    protectedStatic.new = (function()
+    /**
+     * Protected constructor.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param value Initial value of the Property.
+     * @param equals Optional equality comparator of values, defaults to '==='.
+     * @see: Structure.equals
+     */
+    constructor: function(prot, priv, value, equals)
     {
-        const c = protectedStatic.new;
+        if (equals === undefined)
+            equals = function(a, b)
+            {
+                return a === b;
+            };
+        requireArgument(Type.of(equals) === Type.FUNCTION,
+            "Property.new", "equals must be a function.");
 
-        return function(value)
+        /* Current value of the Property. */
+        priv.value = value === undefined ? null : value;
+        /* Determines if two values of the Property are equal. */
+        priv.equals = equals;
+        /* Observable which the Property is bound to. */
+        priv.observing = null;
+        /* Values the Property depends on while bound, which holds the observed value. */
+        priv.observables = new Set();
+        /* Schedules the Property to take the value of the observed value, once it changes. */
+        priv.observedCallback = prot.super.depend(function()
         {
-            if (value === undefined)
-                value = null;
+            if (priv.observing !== null)
+                priv.set(priv.observing.get(), true);
+        }, priv.observables);
+        /* Properties which the Property is bound bidirectionally to, with the converter to each and their private member(s). */
+        priv.bidirectional = new Map();
+        /* Functions which check values before they are set, in the order they were added. */
+        priv.validators = [ ];
+        /* Functions which normalize values before they are checked, in the order they were added. */
+        priv.coercers = [ ];
+        /* Messages of the latest validation. */
+        priv.errors = Object.freeze([ ]);
+        /* Read-only Property of the messages, created if requested. */
+        priv.errorsView = null;
+        /* Notifies listeners of the read-only Property of the messages. */
+        priv.errorsNotify = null;
+        /* Binding which determines if there are no messages, created if requested. */
+        priv.validView = null;
 
-            /* Implement abstract method 'get'. */
-            const prot = c(function()
+        /* Returns the messages of the validators which reject the value. */
+        priv.validate = function(value)
+        {
+            const errors = [ ];
+            for (let validator of priv.validators)
             {
-                return value;
-            });
-            const instance = prot.this;
+                const message = validator(value);
+                if (Type.of(message) === Type.STRING)
+                    errors.push(message);
+            }
+            return errors;
+        };
+
+        /* Replaces the messages of the latest validation, notifying their listeners if they changed. */
+        priv.report = function(errors)
+        {
+            const oldErrors = priv.errors;
+            if (oldErrors.length === errors.length && oldErrors.every(function(message, i)
+                {
+                    return message === errors[i];
+                })) return;
+            priv.errors = Object.freeze(errors);
+            if (priv.errorsView !== null)
+                priv.errorsNotify(oldErrors);
+        };
 
-            /* ~~~~~~~~~~ Local member(s) ~~~~~~~~~~ */
+        /* Releases the observed value once it is disposed, keeping the last value. */
+        priv.disposedCallback = function()
+        {
+            priv.observing = null;
+            priv.observables.clear();
+        };
 
-            /* Observable which the Property is bound to. */
-            let observing = null;
-            /* Callback function for the observed value. */
-            let observedCallback = null;
+        /*
+         * Sets the Property's value, ignores bound properties.
+         * Values are coerced and validated first. Invalid values throw,
+         * unless they come from a binding, in which case they are only reported.
+         */
+        priv.set = (function()
+        {
+            const notify = prot.super.notify;
 
-            /* Sets the Property's value, ignores bound properties. */
-            const set = (function()
+            return function(newValue, bound)
             {
-                const notify = prot.super.notify;
-
-                return function(newValue)
+                const source = Structure.classOf(prot.this).getName() + ".set";
+                requireArgument(newValue !== undefined, source, "newValue must not be undefined.");
+                for (let coercer of priv.coercers)
+                    newValue = coercer(newValue);
+                const errors = priv.validate(newValue);
+                priv.report(errors);
+                if (errors.length > 0)
                 {
-                    assert(newValue !== undefined);
-                    if (value === newValue) return;
-                    const oldValue = value;
-                    value = newValue;
-                    notify(oldValue);
-                };
-            })();
+                    if (bound === true) return;
+                    throw new IllegalArgumentError(source + ": " + errors.join(" "));
+                }
+                if (priv.equals(priv.value, newValue)) return;
+                const oldValue = priv.value;
+                prot.super.journal(function()
+                {
+                    priv.value = oldValue;
+                }, function()
+                {
+                    return !priv.equals(oldValue, priv.value);
+                });
+                priv.value = newValue;
+                notify(oldValue);
+            };
+        })();
+
+        /*
+         * Sets the Property, then the Properties it is bound bidirectionally to, with its converted value.
+         * Properties which were already set, starting with the one the value was set on, are skipped.
+         */
+        priv.setBidirectional = function(newValue, visited)
+        {
+            visited.add(prot.this);
+            priv.set(newValue);
+            for (let [other, link] of priv.bidirectional)
+                if (!visited.has(other))
+                    link.priv.setBidirectional(link.convert(priv.value), visited);
+        };
+    },
+
+    publicMembers: function(prot, priv, privateStatic)
+    {
+        const instance = prot.this;
 
-            /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
+        return {
+            /**
+             * Implement abstract method 'get'.
+             * @see: ReadOnlyProperty.get
+             * @returns {*} Current value of the Property.
+             */
+            get: function()
+            {
+                return priv.value;
+            },
 
             /**
              * Sets the current value of the Property.
-             * A change is not made if the new and old value are equal.
+             * The value is first passed through the coercers, then checked by the validators.
+             * A change is not made if the new and old value are equal,
+             * according to the equality comparator of the Property.
              * Any listeners of the Property will be notified of the change.
              * A Property cannot be set if it is bound to another Property.
+             * Properties bound bidirectionally to the Property are set along with it, within a batch.
+             * @see: Property.bindBidirectional
              * @param newValue Value to be set.
              */
-            instance.set = function(newValue)
+            set: function(newValue)
             {
-                assert(!instance.isBound());
-                set(newValue);
-            };
+                if (instance.isBound())
+                    throw new BoundPropertyError(Structure.classOf(instance).getName()
+                        + ".set: a bound Property cannot be set, unbind it first.");
+                if (priv.bidirectional.size <= 0)
+                    priv.set(newValue);
+                else privateStatic.protected.super.batch(function()
+                {
+                    priv.setBidirectional(newValue, new Set());
+                });
+            },
+
+            /**
+             * Adds a validator to the Property.
+             * A validator is called with each value before it is set, and returns
+             * a message describing why the value is invalid, or nothing if it is valid.
+             * Setting an invalid value throws an IllegalArgumentError with the messages.
+             * A value from a binding which is invalid is not set, but its messages are reported.
+             * The current value is validated again once the validator is added.
+             * @see: Property.errors
+             * @param validator Function(value) which returns a message if the value is invalid.
+             */
+            addValidator: function(validator)
+            {
+                requireArgument(Type.of(validator) === Type.FUNCTION,
+                    Structure.classOf(instance).getName() + ".addValidator", "validator must be a function.");
+                if (priv.validators.includes(validator)) return;
+                priv.validators.push(validator);
+                priv.report(priv.validate(priv.value));
+            },
+
+            /**
+             * Removes a validator from the Property.
+             * The current value is validated again once the validator is removed.
+             * @see: Property.addValidator
+             * @param validator Validator to be removed.
+             */
+            removeValidator: function(validator)
+            {
+                const index = priv.validators.indexOf(validator);
+                if (index < 0) return;
+                priv.validators.splice(index, 1);
+                priv.report(priv.validate(priv.value));
+            },
+
+            /**
+             * Adds a coercer to the Property.
+             * A coercer is called with each value before it is validated, and returns the value to be
+             * used instead. Coercers are called in the order they were added, each with the result of the last.
+             * The current value of the Property is not coerced.
+             * @param coercer Function(value) which returns the normalized value.
+             */
+            addCoercer: function(coercer)
+            {
+                requireArgument(Type.of(coercer) === Type.FUNCTION,
+                    Structure.classOf(instance).getName() + ".addCoercer", "coercer must be a function.");
+                if (!priv.coercers.includes(coercer))
+                    priv.coercers.push(coercer);
+            },
+
+            /**
+             * Removes a coercer from the Property.
+             * @see: Property.addCoercer
+             * @param coercer Coercer to be removed.
+             */
+            removeCoercer: function(coercer)
+            {
+                const index = priv.coercers.indexOf(coercer);
+                if (index >= 0)
+                    priv.coercers.splice(index, 1);
+            },
+
+            /**
+             * Provides the messages of the latest validation.
+             * The messages are those of the latest value set or received from a binding,
+             * or of the current value once the validators were changed.
+             * @see: Property.addValidator
+             * @returns {{}} Read-only Property of a frozen array of messages.
+             */
+            errors: function()
+            {
+                if (priv.errorsView === null)
+                {
+                    priv.errorsView = ReadOnlyProperty.new(function()
+                    {
+                        return priv.errors;
+                    });
+
+                    /* Access protected member of the ReadOnlyProperty instance. */
+                    priv.errorsNotify = privateStatic.protected.super.protected(priv.errorsView).notify;
+                }
+
+                return priv.errorsView;
+            },
+
+            /**
+             * Provides the validity of the Property.
+             * @see: Property.errors
+             * @returns {{}} Binding which is true while the latest validation has no messages.
+             */
+            isValid: function()
+            {
+                if (priv.validView === null)
+                    priv.validView = Bindings.derive(function(errors)
+                    {
+                        return errors.length === 0;
+                    }, instance.errors());
+
+                return priv.validView;
+            },
 
             /**
              * @returns {boolean} True if the Property is bound.
              */
-            instance.isBound = function()
+            isBound: function()
             {
-                return observing !== null;
-            };
+                return priv.observing !== null;
+            },
 
             /**
              * Unbinds the Property.
              * @see: Property.bind
              */
-            instance.unbind = function()
+            unbind: function()
             {
                 if (!instance.isBound()) return;
-                observing.removeListener(observedCallback);
-                observing = null;
-                observedCallback = null;
-            };
+                priv.observing.removeListener(priv.observedCallback);
+                if (Type.of(priv.observing.removeDisposeListener) === Type.FUNCTION)
+                    priv.observing.removeDisposeListener(priv.disposedCallback);
+                priv.observing = null;
+                priv.observables.clear();
+            },
 
             /**
              * Binds this Property to a binding.
-             * Bindings are guaranteed to extend from ReadOnlyProperty.
+             * Bindings are guaranteed to implement Observable.
              * A bound property will automatically update with the binding.
              * Once bound, the Property can no longer be set.
+             * If the binding is disposed, the Property is unbound and keeps its last value.
+             * The bound Property is updated along with Bindings, in topological order,
+             * so values which depend on both it and the binding are recomputed once.
              * @param binding Observable binding to bind the Property to.
              */
-            instance.bind = function(binding)
+            bind: function(binding)
             {
-                assert(Boolean(binding));
-                assert(Type.of(binding) === Type.OBJECT);
-                assert(ReadOnlyProperty.hasInstance(binding));
-                if (binding === observing) return;
+                requireArgument(Type.instanceOf(binding, Observable),
+                    Structure.classOf(instance).getName() + ".bind", "binding must implement Observable.");
+                if (priv.bidirectional.size > 0)
+                    throw new BoundPropertyError(Structure.classOf(instance).getName()
+                        + ".bind: a bidirectionally bound Property cannot be bound, unbindBidirectional it first.");
+                if (binding === priv.observing) return;
                 instance.unbind();
-                observing = binding;
+                priv.observing = binding;
+                priv.observables.add(binding);
+                priv.observing.addListener(priv.observedCallback);
+                if (Type.of(priv.observing.addDisposeListener) === Type.FUNCTION)
+                    priv.observing.addDisposeListener(priv.disposedCallback);
+                priv.set(priv.observing.get(), true);
+            },
 
-                observedCallback = function(_, __, newValue)
+            /**
+             * Binds this Property and another Property to each other.
+             * Setting either Property sets the other, and this Property
+             * initially takes the value of the other Property.
+             * Changes are not propagated back to the Property they came from.
+             * Both Properties are set within one batch: if either rejects its value,
+             * neither is changed, and within a batch the last value set wins.
+             * @see: Property.batch
+             * The optional converter has the following members:
+             * -> to: Function(value) which converts a value of this Property to one of the other Property.
+             * -> from: Function(value) which converts a value of the other Property to one of this Property.
+             * Neither Property can be bound to a binding while they are bound bidirectionally.
+             * They are unbound once either of them is disposed.
+             * @param other Property to bind this Property to.
+             * @param converter Optional converter between the values of the Properties.
+             */
+            bindBidirectional: function(other, converter)
+            {
+                const source = Structure.classOf(instance).getName() + ".bindBidirectional";
+                requireArgument(Property.hasInstance(other) && other !== instance,
+                    source, "other must be another Property.");
+                if (converter === undefined)
                 {
-                    set(newValue);
-                };
+                    const identity = function(value)
+                    {
+                        return value;
+                    };
+                    converter = { to: identity, from: identity };
+                }
+                requireArgument(Type.of(converter) === Type.OBJECT
+                    && Type.of(converter.to) === Type.FUNCTION && Type.of(converter.from) === Type.FUNCTION,
+                    source, "converter must have 'to' and 'from' functions.");
+                if (instance.isBound() || other.isBound())
+                    throw new BoundPropertyError(source + ": a bound Property cannot be bound bidirectionally.");
+                instance.unbindBidirectional(other);
+                instance.set(converter.from(other.get()));
+                const otherPriv = privateStatic.private(other);
+                priv.bidirectional.set(other, { convert: converter.to, priv: otherPriv });
+                otherPriv.bidirectional.set(instance, { convert: converter.from, priv: priv });
+            },
 
-                observing.addListener(observedCallback);
-                set(observing.get());
-            };
+            /**
+             * Unbinds this Property from a Property it is bound bidirectionally to.
+             * @see: Property.bindBidirectional
+             * @param other Property to unbind this Property from.
+             */
+            unbindBidirectional: function(other)
+            {
+                if (!priv.bidirectional.has(other)) return;
+                priv.bidirectional.get(other).priv.bidirectional.delete(instance);
+                priv.bidirectional.delete(other);
+            },
+
+            /**
+             * Override dispose.
+             * The Property is unbound, including bidirectionally, before it is disposed.
+             * @see: ReadOnlyProperty.dispose
+             */
+            dispose: (function()
+            {
+                const dispose = instance.dispose;
 
-            return Object.freeze(prot);
+                return function()
+                {
+                    if (instance.isDisposed()) return;
+                    instance.unbind();
+                    for (let other of Array.from(priv.bidirectional.keys()))
+                        instance.unbindBidirectional(other);
+                    if (priv.errorsView !== null)
+                        priv.errorsView.dispose();
+                    dispose();
+                };
+            })()
         };
-    })();
-    Object.freeze(protectedStatic);
+    },
 
-    /**
-     * Public constructor.
-     * @param value Initial value of the Property.
-     * @returns {Readonly<{}|this>} Property instance.
-     */
-    module.new = function(value)
+    statics: function(module, privateStatic)
     {
-        return Object.freeze(protectedStatic.new(value).this);
-    };
+        return {
+            /**
+             * Changes Properties within a batch.
+             * Notifications are deferred until the outermost batch ends, after which each
+             * listener is notified at most once, with the value before the batch and the final value.
+             * If the function throws, the Properties changed within the batch are rolled back.
+             * Bindings are not recomputed until the outermost batch ends.
+             * @param callback Function which changes Properties.
+             * @returns {*} Value returned by the function.
+             */
+            batch: function(callback)
+            {
+                return privateStatic.protected.super.batch(callback);
+            }
+        };
+    }
+});
 
-    /**
-     * @see Structure.extend
-     * @param module Base submodule.
-     * @returns {{}} Private static member(s).
-     */
-    module.extend = function(module)
+/* Serialized by value, the binding of the Property is not serialized. */
+Structure.serializable(Property, {
+    tag: "Property",
+    toJSON: function(property, write)
     {
-        assert(Boolean(module));
-        assert(Type.of(module) === Type.OBJECT);
-        assert(!Object.isFrozen(module));
-        assert(!Object.isSealed(module));
-
-        return privateStatic.extend(module, protectedStatic);
-    };
-
-    return Object.freeze(module);
-})();
+        return write(property.get());
+    },
+    create: function()
+    {
+        return Property.new();
+    },
+    fromJSON: function(data, read, property)
+    {
+        property.set(read(data));
+    }
+});
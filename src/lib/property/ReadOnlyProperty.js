@@ -32,26 +32,181 @@ SOFTWARE.
  * Read-only property module.
  * Subclass of Structure.
  * Defines an abstract subscriber producer object pattern.
+ * Subclasses must implement the abstract member 'get'.
  */
 const ReadOnlyProperty = (function()
 {
     /* Module design pattern. */
     const module = { };
 
+    /* Properties read by the function being tracked, null while none is. */
+    let dependencies = null;
+
     /* Private and protected static member(s). */
-    const privateStatic = Object.freeze(Structure.extend(module));
+    const privateStatic = Object.freeze(Structure.extend(module, {
+        name: "ReadOnlyProperty",
+        abstract: [ "get" ],
+        final: [ "addListener", "removeListener", "addWeakListener",
+            "addDisposeListener", "removeDisposeListener", "addWeakDisposeListener",
+            "addInvalidationListener", "removeInvalidationListener" ],
+        implements: [ Observable ],
+        intercept: {
+            /* Records the Property as a dependency of the function being tracked. */
+            get: function(instance, get)
+            {
+                return function()
+                {
+                    if (dependencies !== null)
+                        dependencies.add(instance);
+                    return get();
+                };
+            }
+        }
+    }));
     const protectedStatic = privateStatic.protected;
 
+    /* Releases weak listener references once their callback is garbage collected. */
+    const registry = new FinalizationRegistry(function(held)
+    {
+        held.refs.delete(held.ref);
+    });
+
+    /* Adds a weak reference to the callback to a set of references. */
+    const addWeak = function(refs, callback)
+    {
+        for (let ref of refs)
+            if (ref.deref() === callback) return;
+        const ref = new WeakRef(callback);
+        refs.add(ref);
+        registry.register(callback, { refs: refs, ref: ref }, ref);
+    };
+
+    /* Removes the weak reference to the callback from a set of references. */
+    const removeWeak = function(refs, callback)
+    {
+        for (let ref of refs)
+            if (ref.deref() === callback)
+            {
+                refs.delete(ref);
+                registry.unregister(ref);
+                return true;
+            }
+        return false;
+    };
+
+    /* Throws unless the listener given to a member of the instance is a function. */
+    const requireCallback = function(instance, member, callback)
+    {
+        requireArgument(Type.of(callback) === Type.FUNCTION,
+            Structure.classOf(instance).getName() + "." + member, "callback must be a function.");
+    };
+
+    /* Returns the callback(s) of a set of references which have not been garbage collected. */
+    const dereference = function(refs)
+    {
+        const callbacks = [ ];
+        for (let ref of refs)
+        {
+            const callback = ref.deref();
+            if (callback === undefined)
+                refs.delete(ref);
+            else callbacks.push(callback);
+        }
+        return callbacks;
+    };
+
+    /* ~~~~~~~~~~ Propagation engine ~~~~~~~~~~ */
+
+    /* Dependents (such as Bindings) by instance, with the values they depend on. */
+    const nodes = new WeakMap();
+    /* Listeners which schedule a dependent, rather than being notified of a change. */
+    const schedulers = new WeakSet();
+    /* Dependents scheduled to be recomputed. */
+    const scheduled = new Set();
+    /* Properties which changed or were invalidated, whose listeners have yet to be notified, in order of change. */
+    const changes = new Map();
+    /* Propagation is held while a change is being recorded, and while a batch is in progress. */
+    let holds = 0;
+    /* Journals of the batches in progress, innermost last, which map Properties to how to undo their changes. */
+    const journals = [ ];
+    /* True while changes are being propagated. */
+    let propagating = false;
+
+    /* Topological level of an observable, 0 for values which depend on nothing. */
+    const levelOf = function(observable, memo)
+    {
+        const node = nodes.get(observable);
+        if (node === undefined) return 0;
+        if (memo.has(node)) return memo.get(node);
+        let level = 1;
+        for (let o of node.observables)
+            level = Math.max(level, levelOf(o, memo) + 1);
+        memo.set(node, level);
+        return level;
+    };
+
+    /*
+    Propagates the recorded changes. Scheduled dependents are recomputed first,
+    lowest level first, so each is recomputed once and only after every value it
+    depends on is up to date. Listeners are notified once no dependent is scheduled.
+    Lazy dependents are invalidated rather than recomputed, @see Binding.
+    If a dependent or listener throws, only its own recomputation or notification is
+    abandoned. The remaining changes are propagated, then the first error is rethrown.
+     */
+    const propagate = function()
+    {
+        if (holds > 0 || propagating) return;
+        propagating = true;
+        let failed = false;
+        let error;
+        try
+        {
+            while (scheduled.size > 0 || changes.size > 0)
+            {
+                try
+                {
+                    if (scheduled.size > 0)
+                    {
+                        const memo = new Map();
+                        let next = null;
+                        for (let node of scheduled)
+                            if (next === null || levelOf(node.instance, memo) < levelOf(next.instance, memo))
+                                next = node;
+                        scheduled.delete(next);
+                        if (!next.instance.isDisposed())
+                            next.recompute();
+                        continue;
+                    }
+
+                    const [instance, change] = changes.entries().next().value;
+                    changes.delete(instance);
+                    change.deliver(change);
+                }
+                catch (e)
+                {
+                    if (!failed)
+                    {
+                        failed = true;
+                        error = e;
+                    }
+                }
+            }
+        }
+        finally
+        {
+            propagating = false;
+        }
+        if (failed)
+            throw error;
+    };
+
     /* Protected constructor. */
     protectedStatic.new = (function()
     {
         const c = protectedStatic.new;
 
-        return function(getCallback)
+        return function()
         {
-            assert(Boolean(getCallback));
-            assert(Type.of(getCallback) === Type.FUNCTION);
-
             const prot = c();
             const instance = prot.this;
 
@@ -59,28 +214,165 @@ const ReadOnlyProperty = (function()
 
             /* Callback(s) listening to changes in the Property. */
             const listeners = new Set();
+            /* Callback(s) listening to the disposal of the Property. */
+            const disposeListeners = new Set();
+            /* Callback(s) listening to the invalidation of the Property. */
+            const invalidationListeners = new Set();
+            /* Weak reference(s) to callback(s) listening to changes in, or disposal of the Property. */
+            const weakListeners = new Set();
+            const weakDisposeListeners = new Set();
+            /* Function called once the Property gains its first strongly referenced listener, or loses its last. */
+            let watcher = null;
+
+            /* Returns true if the Property has any strongly referenced change or invalidation listener. */
+            const isListened = function()
+            {
+                return listeners.size > 0 || invalidationListeners.size > 0;
+            };
+
+            /* Applies a change to the strong listeners, calling the watcher if the Property gained its first or lost its last. */
+            const watch = function(update)
+            {
+                const listened = isListened();
+                const result = update();
+                if (watcher !== null && listened !== isListened())
+                    watcher(!listened);
+                return result;
+            };
 
             /* ~~~~~~~~~~ Protected member(s) ~~~~~~~~~~ */
 
+            /* Returns the listener(s) of the Property, other than the schedulers of its dependents. */
+            const changeListeners = function()
+            {
+                return Array.from(listeners).concat(dereference(weakListeners)).filter(function(listener)
+                {
+                    return !schedulers.has(listener);
+                });
+            };
+
+            /* Notifies the listeners of a change to, or the invalidation of the Property. */
+            const deliver = function(change)
+            {
+                if (instance.isDisposed()) return;
+                for (let listener of Array.from(invalidationListeners))
+                    listener(instance);
+                if (change.invalidated) return;
+                const callbacks = changeListeners();
+                /* Lazy values are not computed for nothing. */
+                if (callbacks.length <= 0) return;
+                const newValue = instance.get();
+                for (let listener of callbacks)
+                    listener(instance, change.oldValue, newValue);
+            };
+
+            /* Records a change to the Property, schedules its dependents, then propagates. */
+            const record = function(change)
+            {
+                holds++;
+                try
+                {
+                    if (!changes.has(instance) || changes.get(instance).invalidated)
+                        changes.set(instance, change);
+                    for (let listener of Array.from(listeners).concat(dereference(weakListeners)))
+                        if (schedulers.has(listener))
+                            listener();
+                }
+                finally
+                {
+                    holds--;
+                }
+                propagate();
+            };
+
             /**
              * Notifies all listeners that the Property changed.
+             * Dependents of the Property are recomputed before any listener is notified,
+             * so listeners never observe a dependent which is not up to date.
              * @see: ReadOnlyProperty.addListener
              * @param oldValue Value which was overwritten.
              */
             prot.notify = function(oldValue)
             {
-                assert(oldValue !== undefined);
-                const newValue = instance.get();
-                for (let listener of listeners)
-                    listener(instance, oldValue, newValue);
+                requireArgument(oldValue !== undefined,
+                    Structure.classOf(instance).getName() + ".notify", "oldValue must not be undefined.");
+                record({ oldValue: oldValue, invalidated: false, deliver: deliver });
             };
 
-            /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
+            /**
+             * Notifies the invalidation listeners that the value of the Property is no longer up to date,
+             * without computing it. Dependents of the Property are scheduled, as with 'notify'.
+             * @see: ReadOnlyProperty.addInvalidationListener
+             */
+            prot.invalidate = function()
+            {
+                record({ oldValue: undefined, invalidated: true, deliver: deliver });
+            };
+
+            /**
+             * Records how to undo a change to the Property, while a batch is in progress.
+             * Only the first change of the Property within a batch is recorded.
+             * @see: ReadOnlyProperty.batch
+             * @param restore Function which restores the value the Property had before the change.
+             * @param changed Function which returns true if the value of the Property differs from that value.
+             */
+            prot.journal = function(restore, changed)
+            {
+                if (journals.length <= 0) return;
+                const journal = journals[journals.length - 1];
+                if (journal.has(instance)) return;
+                journal.set(instance, { restore: restore, changed: changed, pending: changes.has(instance) });
+            };
+
+            /**
+             * @returns {boolean} True if any listener, other than a dependent, listens to changes of the Property.
+             */
+            prot.hasListeners = function()
+            {
+                return changeListeners().length > 0;
+            };
 
             /**
-             * Returns the value of the Property.
+             * Watches the strongly referenced listeners of the Property, change and invalidation listeners alike.
+             * The function is called with true once the Property gains its first such listener,
+             * and with false once it loses its last. Weak listeners are not counted.
+             * @see: Binding.new
+             * @param callback Function(listened) to be called, replacing the previous one.
              */
-            instance.get = getCallback;
+            prot.watchListeners = function(callback)
+            {
+                requireArgument(Type.of(callback) === Type.FUNCTION,
+                    Structure.classOf(instance).getName() + ".watchListeners", "callback must be a function.");
+                watcher = callback;
+            };
+
+            /**
+             * Makes the Property a dependent of the propagation engine, such as a Binding.
+             * Once a value it depends on changes, the dependent is recomputed exactly once,
+             * after every value it depends on is up to date (in topological order).
+             * @param recompute Function which recomputes the Property, and notifies if it changed.
+             * @param observables Set of the values the Property depends on, kept up to date by the Property.
+             * @returns {Function} Listener which schedules the Property, to be added to the values it depends on.
+             */
+            prot.depend = function(recompute, observables)
+            {
+                requireArgument(Type.of(recompute) === Type.FUNCTION,
+                    Structure.classOf(instance).getName() + ".depend", "recompute must be a function.");
+                requireArgument(observables instanceof Set,
+                    Structure.classOf(instance).getName() + ".depend", "observables must be a Set.");
+
+                const node = { instance: instance, recompute: recompute, observables: observables };
+                nodes.set(instance, node);
+                const scheduler = function()
+                {
+                    scheduled.add(node);
+                    propagate();
+                };
+                schedulers.add(scheduler);
+                return scheduler;
+            };
+
+            /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
 
             /**
              * Adds a listener which monitors changes to the Property.
@@ -89,22 +381,152 @@ const ReadOnlyProperty = (function()
              */
             instance.addListener = function(callback)
             {
-                assert(Boolean(callback));
-                assert(Type.of(callback) === Type.FUNCTION);
-                listeners.add(callback);
+                requireCallback(instance, "addListener", callback);
+                watch(function()
+                {
+                    listeners.add(callback);
+                });
+            };
+
+            /**
+             * Adds a listener which is only weakly referenced by the Property.
+             * The listener is removed once it is garbage collected, so it does
+             * not keep its owner alive. The caller must hold a strong reference
+             * to the callback for as long as it should be called.
+             * @see: ReadOnlyProperty.addListener
+             * @param callback Function to be called.
+             */
+            instance.addWeakListener = function(callback)
+            {
+                requireCallback(instance, "addWeakListener", callback);
+                addWeak(weakListeners, callback);
             };
 
             /**
-             * Removes a listener from the Property.
+             * Removes a listener from the Property, weak or not.
              * @see ReadOnlyProperty.new
              * @param callback Function to be removed.
-             * @returns {boolean|void|Promise<void>} True if the listener was removed.
+             * @returns {boolean} True if the listener was removed.
              */
             instance.removeListener = function(callback)
             {
-                assert(Boolean(callback));
-                assert(Type.of(callback) === Type.FUNCTION);
-                return listeners.delete(callback);
+                requireCallback(instance, "removeListener", callback);
+                const removed = watch(function()
+                {
+                    return listeners.delete(callback);
+                });
+                return removeWeak(weakListeners, callback) || removed;
+            };
+
+            /**
+             * Adds a listener which is called whenever the value of the Property
+             * may have changed, either because it changed or was invalidated.
+             * Unlike 'addListener', the new value is not computed for the listener,
+             * which leaves lazy Bindings to be recomputed on their next 'get'.
+             * The callback will be provided the invalidated Property.
+             * @see: Binding.new
+             * @param callback Function to be called.
+             */
+            instance.addInvalidationListener = function(callback)
+            {
+                requireCallback(instance, "addInvalidationListener", callback);
+                watch(function()
+                {
+                    invalidationListeners.add(callback);
+                });
+            };
+
+            /**
+             * Removes an invalidation listener from the Property.
+             * @param callback Function to be removed.
+             * @returns {boolean} True if the listener was removed.
+             */
+            instance.removeInvalidationListener = function(callback)
+            {
+                requireCallback(instance, "removeInvalidationListener", callback);
+                return watch(function()
+                {
+                    return invalidationListeners.delete(callback);
+                });
+            };
+
+            /**
+             * Adds a listener which is called once the Property is disposed.
+             * The callback will be provided the disposed Property.
+             * @see: ReadOnlyProperty.dispose
+             * @param callback Function to be called.
+             */
+            instance.addDisposeListener = function(callback)
+            {
+                requireCallback(instance, "addDisposeListener", callback);
+                disposeListeners.add(callback);
+            };
+
+            /**
+             * Adds a dispose listener which is only weakly referenced by the Property.
+             * @see: ReadOnlyProperty.addWeakListener
+             * @param callback Function to be called.
+             */
+            instance.addWeakDisposeListener = function(callback)
+            {
+                requireCallback(instance, "addWeakDisposeListener", callback);
+                addWeak(weakDisposeListeners, callback);
+            };
+
+            /**
+             * Removes a dispose listener from the Property, weak or not.
+             * @param callback Function to be removed.
+             * @returns {boolean} True if the listener was removed.
+             */
+            instance.removeDisposeListener = function(callback)
+            {
+                requireCallback(instance, "removeDisposeListener", callback);
+                const removed = disposeListeners.delete(callback);
+                return removeWeak(weakDisposeListeners, callback) || removed;
+            };
+
+            /**
+             * Override dispose.
+             * Listeners are released, and dispose listeners are notified.
+             * @see: Structure.dispose
+             */
+            instance.dispose = (function()
+            {
+                const dispose = instance.dispose;
+
+                return function()
+                {
+                    if (instance.isDisposed()) return;
+                    dispose();
+                    listeners.clear();
+                    weakListeners.clear();
+                    invalidationListeners.clear();
+                    for (let listener of disposeListeners)
+                        listener(instance);
+                    for (let listener of dereference(weakDisposeListeners))
+                        listener(instance);
+                    disposeListeners.clear();
+                    weakDisposeListeners.clear();
+                };
+            })();
+
+            /**
+             * Creates a Binding which follows the value of the Property,
+             * as the start of a fluent binding expression.
+             * The Binding subscribes weakly while nothing listens to it, so it does not
+             * outlive its last reference, @see Binding.new
+             * @see: Bindings
+             * @returns {{}} Binding of the value of the Property.
+             */
+            instance.asBinding = function()
+            {
+                return Binding.new({
+                    compute: function()
+                    {
+                        return instance.get();
+                    },
+                    weak: true
+                }, instance);
             };
 
             /**
@@ -114,10 +536,10 @@ const ReadOnlyProperty = (function()
              */
             instance.toString = function()
             {
+                if (instance.isDisposed())
+                    return Structure.classOf(instance).getName() + " (disposed)";
                 const v = instance.get();
-                if (v !== null
-                    && Type.of(v) === Type.OBJECT
-                    && Structure.hasInstance(v))
+                if (Type.of(v) === Type.STRUCTURE)
                     return v.toString();
                 return "" + v;
             };
@@ -125,6 +547,58 @@ const ReadOnlyProperty = (function()
             return Object.freeze(prot);
         };
     })();
+
+    /**
+     * Calls a function, deferring notifications until the outermost batch ends.
+     * Dependents are then recomputed once, and each listener is notified at most once,
+     * with the value a Property had before the batch and its final value.
+     * Properties whose final value equals the value they had before the batch are not notified.
+     * If the function throws, Properties changed within the batch are restored without
+     * notifying their listeners, and the error is rethrown.
+     * @see: Property.batch
+     * @param callback Function to be called.
+     * @returns {*} Value returned by the function.
+     */
+    protectedStatic.batch = function(callback)
+    {
+        requireArgument(Type.of(callback) === Type.FUNCTION, "Property.batch", "callback must be a function.");
+
+        const journal = new Map();
+        journals.push(journal);
+        holds++;
+        try
+        {
+            const result = callback();
+            journals.pop();
+            if (journals.length > 0)
+            {
+                const outer = journals[journals.length - 1];
+                for (let [instance, entry] of journal)
+                    if (!outer.has(instance))
+                        outer.set(instance, entry);
+            }
+            else for (let [instance, entry] of journal)
+                if (!entry.pending && !entry.changed())
+                    changes.delete(instance);
+            return result;
+        }
+        catch (e)
+        {
+            journals.pop();
+            for (let [instance, entry] of Array.from(journal).reverse())
+            {
+                entry.restore();
+                if (!entry.pending)
+                    changes.delete(instance);
+            }
+            throw e;
+        }
+        finally
+        {
+            holds--;
+            propagate();
+        }
+    };
     Object.freeze(protectedStatic);
 
     /**
@@ -139,22 +613,76 @@ const ReadOnlyProperty = (function()
      */
     module.new = function(getCallback)
     {
-        return Object.freeze(protectedStatic.new(getCallback).this);
+        requireArgument(Type.of(getCallback) === Type.FUNCTION,
+            "ReadOnlyProperty.new", "getCallback must be a function.");
+
+        const instance = protectedStatic.new().this;
+
+        /**
+         * Implement abstract method 'get'.
+         * Returns the value of the Property.
+         */
+        instance.get = getCallback;
+
+        return privateStatic.concrete(instance);
+    };
+
+    /**
+     * Calls a function, recording every Property whose 'get' it calls.
+     * Calls to 'get' from nested tracked functions are only recorded by the innermost one.
+     * @see: Binding.computed
+     * @param callback Function to be tracked.
+     * @returns {{value: *, dependencies: Set<{}>}} Value returned by the function, and the Properties it read.
+     */
+    module.track = function(callback)
+    {
+        requireArgument(Type.of(callback) === Type.FUNCTION, "ReadOnlyProperty.track", "callback must be a function.");
+
+        const outer = dependencies;
+        dependencies = new Set();
+        try
+        {
+            const value = callback();
+            return { value: value, dependencies: dependencies };
+        }
+        finally
+        {
+            dependencies = outer;
+        }
+    };
+
+    /**
+     * Calls a function without recording the Properties whose 'get' it calls,
+     * such that they are not taken for dependencies of the function being tracked.
+     * @see: ReadOnlyProperty.track
+     * @param callback Function to be called.
+     * @returns {*} Value returned by the function.
+     */
+    module.untracked = function(callback)
+    {
+        requireArgument(Type.of(callback) === Type.FUNCTION, "ReadOnlyProperty.untracked", "callback must be a function.");
+
+        const outer = dependencies;
+        dependencies = null;
+        try
+        {
+            return callback();
+        }
+        finally
+        {
+            dependencies = outer;
+        }
     };
 
     /**
      * @see Structure.extend
      * @param module Base submodule.
+     * @param declaration Optional declaration of the submodule.
      * @returns {{}} Private static member(s).
      */
-    module.extend = function(module)
+    module.extend = function(module, declaration)
     {
-        assert(Boolean(module));
-        assert(Type.of(module) === Type.OBJECT);
-        assert(!Object.isFrozen(module));
-        assert(!Object.isSealed(module));
-
-        return privateStatic.extend(module, protectedStatic);
+        return privateStatic.extend(module, protectedStatic, declaration);
     };
 
     return Object.freeze(module);
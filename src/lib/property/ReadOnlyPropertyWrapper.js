@@ -33,105 +33,123 @@ SOFTWARE.
  * Subclass of Property.
  * Defines a Property which holds a read-only version of itself.
  */
-const ReadOnlyPropertyWrapper = (function()
-{
-    /* Module design pattern. */
-    const module = { };
+const ReadOnlyPropertyWrapper = Structure.define({
+    name: "ReadOnlyPropertyWrapper",
+    extends: Property,
+    final: [ "readOnly" ],
 
-    /* Private and protected static member(s). */
-    const privateStatic = Object.freeze(Property.extend(module));
-    const protectedStatic = privateStatic.protected;
-
-    /* Protected constructor. */
-    protectedStatic.new = (function()
+    /**
+     * Protected constructor.
+     * The optional type restricts the values of the Property, including its initial
+     * value and values from a binding, through a validator. Subclasses provide it
+     * for the type of their values.
+     * @param prot Protected member(s) of the instance.
+     * @param priv Private member(s) of the instance.
+     * @param value Initial value of the Property.
+     * @param equals Optional equality comparator of values, defaults to '==='.
+     * @param type Optional type of the values, @see Contract.of
+     * @see: Property.new
+     */
+    constructor: function(prot, priv, value, equals, type)
     {
-        const c = protectedStatic.new;
-
-        return function(value)
+        if (type !== undefined)
         {
-            if (value === undefined)
-                value = null;
-
-            const prot = c(value);
-            const instance = prot.this;
-
-            /* ~~~~~~~~~~ Local member(s) ~~~~~~~~~~ */
-
-            /* Read-only property which shadows the Property. */
-            let readOnly = null;
-            /* Notifies listeners of the read-only Property. */
-            let notify = null;
+            const contract = Contract.of(type);
+            const validator = function(value)
+            {
+                if (!contract.test(value))
+                    return "value must be " + contract + ".";
+            };
+            const message = validator(prot.this.get());
+            requireArgument(message === undefined, "ReadOnlyPropertyWrapper.new", message);
+            prot.this.addValidator(validator);
+        }
+
+        /* Read-only property which shadows the Property. */
+        priv.readOnly = null;
+        /* Value of the Property which the listeners of the read-only Property were last notified of. */
+        priv.readOnlyValue = null;
+        /* Determines if two values of the Property are equal. */
+        priv.equals = equals === undefined
+            ? function(a, b)
+            {
+                return a === b;
+            }
+            : equals;
+    },
 
-            /* ~~~~~~~~~~ Public member(s) ~~~~~~~~~~ */
+    publicMembers: function(prot, priv, privateStatic)
+    {
+        const instance = prot.this;
 
+        return {
             /**
              * Provides a read-only view of the Property.
-             * Changes made in the Property are reflected in the view.
+             * Changes made in the Property are reflected in the view, whose listeners are
+             * notified along with those of the Property, including changes from a binding.
+             * The view depends on the Property like a Binding, so values which depend on
+             * both are recomputed once per change.
              * A read-only view will only be created if requested.
              * @returns {{}} Read-only view of the Property.
              */
-            instance.readOnly = function()
+            readOnly: function()
             {
-                if (readOnly === null)
+                if (priv.readOnly === null)
                 {
-                    readOnly = ReadOnlyProperty.new(function()
+                    priv.readOnly = ReadOnlyProperty.new(function()
                     {
                         return instance.get();
                     });
 
-                    /* Access protected member of the ReadOnlyProperty instance. */
-                    notify = protectedStatic.super.super.protected(readOnly).notify;
+                    /* Access protected member(s) of the ReadOnlyProperty instance. */
+                    const readOnlyProt = privateStatic.protected.super.super.protected(priv.readOnly);
+                    priv.readOnlyValue = instance.get();
+                    instance.addListener(readOnlyProt.depend(function()
+                    {
+                        const oldValue = priv.readOnlyValue;
+                        priv.readOnlyValue = instance.get();
+                        if (!priv.equals(oldValue, priv.readOnlyValue))
+                            readOnlyProt.notify(oldValue);
+                    }, new Set([ instance ])));
                 }
 
-                return readOnly;
-            };
+                return priv.readOnly;
+            },
 
             /**
-             * Override set.
-             * @see: Property.set
+             * Override dispose.
+             * The read-only view is disposed along with the Property.
+             * @see: Property.dispose
              */
-            instance.set = (function()
+            dispose: (function()
             {
-                const set = instance.set;
+                const dispose = instance.dispose;
 
-                return function(newValue)
+                return function()
                 {
-                    const oldValue = instance.get();
-                    set(newValue);
-                    if (readOnly !== null)
-                        notify(oldValue);
+                    if (instance.isDisposed()) return;
+                    if (priv.readOnly !== null)
+                        priv.readOnly.dispose();
+                    dispose();
                 };
-            })();
-
-            return Object.freeze(prot);
+            })()
         };
-    })();
-    Object.freeze(protectedStatic);
+    }
+});
 
-    /**
-     * Public constructor.
-     * @param value Value of the Property.
-     * @returns {ReadonlyArray<{}>} Property instance.
-     */
-    module.new = function(value)
+/* Serialized by value, the binding of the Property is not serialized. */
+Structure.serializable(ReadOnlyPropertyWrapper, {
+    tag: "ReadOnlyPropertyWrapper",
+    toJSON: function(property, write)
     {
-        return Object.freeze(protectedStatic.new(value).this);
-    };
-
-    /**
-     * @see Structure.extend
-     * @param module Base submodule.
-     * @returns {{}} Private static member(s).
-     */
-    module.extend = function(module)
+        return write(property.get());
+    },
+    create: function()
     {
-        assert(Boolean(module));
-        assert(Type.of(module) === Type.OBJECT);
-        assert(!Object.isFrozen(module));
-        assert(!Object.isSealed(module));
-
-        return privateStatic.extend(module, protectedStatic);
-    };
-
-    return Object.freeze(module);
-})();
+        return ReadOnlyPropertyWrapper.new();
+    },
+    fromJSON: function(data, read, property)
+    {
+        property.set(read(data));
+    }
+});
@@ -0,0 +1,169 @@
+/*
+Copyright © 2018 Kevin Tyrrell
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/*
+ * File Name:       StringProperty
+ * File Author:     Kevin Tyrrell
+ * Date Created:    10/19/2026
+ */
+
+"use strict";
+
+/**
+ * String property module.
+ * Subclass of ReadOnlyPropertyWrapper
+ * Defines a Property for string values.
+ */
+const StringProperty = (function()
+{
+    /* Returns true if the parameter is a string. */
+    const isString = function(str)
+    {
+        return Type.of(str) === Type.STRING;
+    };
+
+    return Structure.define({
+        name: "StringProperty",
+        extends: ReadOnlyPropertyWrapper,
+        contracts: {
+            new: { params: { value: Contract.optional(Type.STRING), options: Contract.optional(Type.OBJECT) } },
+            concat: { params: { string: Type.STRING } }
+        },
+
+        /**
+         * @param value Initial value of the Property, empty if omitted.
+         * @returns {Array} Arguments of the super constructor.
+         */
+        super: function(value)
+        {
+            if (value === undefined)
+                value = "";
+            return [ value, undefined, Type.STRING ];
+        },
+
+        /**
+         * Public constructor.
+         * The options have the following members:
+         * -> trim: True if whitespace is removed from both ends of every value.
+         * @param prot Protected member(s) of the instance.
+         * @param priv Private member(s) of the instance.
+         * @param value Initial value of the Property.
+         * @param options Optional options of the Property.
+         */
+        constructor: function(prot, priv, value, options)
+        {
+            const instance = prot.this;
+            options = Object.freeze(Object.assign({ trim: false }, options));
+            requireArgument(Type.of(options.trim) === Type.BOOLEAN, "StringProperty.new", "trim must be a boolean.");
+
+            /* Options of the Property, with their defaults filled in. */
+            priv.options = options;
+            /* Binding of the length of the Property, created if requested. */
+            priv.length = null;
+            /* Binding which determines if the Property is empty, created if requested. */
+            priv.empty = null;
+
+            if (options.trim)
+            {
+                instance.addCoercer(function(value)
+                {
+                    return isString(value) ? value.trim() : value;
+                });
+                instance.trim();
+            }
+        },
+
+        publicMembers: function(prot, priv)
+        {
+            const instance = prot.this;
+
+            return {
+                /**
+                 * @see: StringProperty.new
+                 * @returns {Readonly<{}>} Options of the Property, with their defaults filled in.
+                 */
+                getOptions: function()
+                {
+                    return priv.options;
+                },
+
+                /**
+                 * Appends a string to the Property.
+                 * @param string String to be appended.
+                 */
+                concat: function(string)
+                {
+                    instance.set(instance.get() + string);
+                },
+
+                /**
+                 * Removes whitespace from both ends of the Property.
+                 */
+                trim: function()
+                {
+                    instance.set(instance.get().trim());
+                },
+
+                /**
+                 * @returns {{}} Binding of the length of the Property.
+                 */
+                length: function()
+                {
+                    if (priv.length === null)
+                        priv.length = Bindings.derive(function(value)
+                        {
+                            return value.length;
+                        }, instance);
+
+                    return priv.length;
+                },
+
+                /**
+                 * @returns {{}} Binding which is true while the Property is empty.
+                 */
+                isEmpty: function()
+                {
+                    if (priv.empty === null)
+                        priv.empty = Bindings.derive(function(value)
+                        {
+                            return value.length === 0;
+                        }, instance);
+
+                    return priv.empty;
+                }
+            };
+        }
+    });
+})();
+
+/* Serialized by value along with its options, the binding of the Property is not serialized. */
+Structure.serializable(StringProperty, {
+    tag: "StringProperty",
+    toJSON: function(property, write)
+    {
+        return { value: write(property.get()), options: write(property.getOptions()) };
+    },
+    fromJSON: function(data, read)
+    {
+        return StringProperty.new(read(data.value), read(data.options));
+    }
+});
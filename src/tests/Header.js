@@ -28,5 +28,4 @@ SOFTWARE.
 
 "use strict";
  
-const assert = console.assert;
 const println = console.log;
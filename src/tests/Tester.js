@@ -55,12 +55,909 @@ const d = Binding.new(function()
     return c.get() > 35;
 }, c);
 d.addListener(listener);
+
+/* The same bindings, as fluent expressions. */
+const fluentC = a.asBinding().add(b);
+const fluentD = fluentC.greaterThan(35);
 a.add(50);
 b.subtract(100);
+println("Fluent: " + fluentC.get() + " " + fluentD.get() + ", matching: "
+    + (fluentC.get() === c.get() && fluentD.get() === d.get()));
 
 a.unbind();
 b.unbind();
 c.unbind();
 d.unbind();
+println("Unbound bindings disposed: " + (c.isDisposed() && d.isDisposed()));
+
+/* Expressions also accept Observables which are not Properties, and have no weak listeners. */
+let plainValue = 2;
+const plainListeners = new Set();
+const plain = {
+    get: function()
+    {
+        return plainValue;
+    },
+    addListener: function(callback)
+    {
+        plainListeners.add(callback);
+    },
+    removeListener: function(callback)
+    {
+        plainListeners.delete(callback);
+    }
+};
+const plainTimesTen = Bindings.derive(function(value)
+{
+    return value * 10;
+}, plain);
+plainValue = 3;
+for (let callback of Array.from(plainListeners))
+    callback(plain, 2, 3);
+println("Plain Observable times ten: " + plainTimesTen.get());
+
+/* Disposing the observed values disposes the bindings which depend on them. */
+a.dispose();
+b.dispose();
+println("Bindings disposed: " + (fluentC.isDisposed() && fluentD.isDisposed()));
+
+/* Diamond: 'sum' depends on 'root' through two paths, and is recomputed once per change. */
+const root = NumberProperty.new(1);
+const left = root.asBinding().add(1);
+const right = root.asBinding().multiply(2);
+let sumRecomputations = 0;
+const sum = Binding.computed(function()
+{
+    sumRecomputations++;
+    return left.get() + right.get();
+});
+sumRecomputations = 0;
+root.set(5);
+println("Diamond recomputations: " + sumRecomputations + ", sum: " + sum.get());
+
+/* Deep chain: each link is recomputed once, after the link it depends on. */
+let deep = root.asBinding();
+let chainRecomputations = 0;
+for (let i = 0; i < 100; i++)
+    deep = Bindings.derive(function(value)
+    {
+        chainRecomputations++;
+        return value + 1;
+    }, deep);
+chainRecomputations = 0;
+root.set(10);
+println("Deep chain recomputations: " + chainRecomputations + ", value: " + deep.get());
+
+/* Bound Property: it is updated in topological order, so its dependents never see a stale pair. */
+const doubled = NumberProperty.new();
+doubled.bind(root.asBinding().multiply(2));
+const pairs = [ ];
+const pair = Binding.new(function()
+{
+    pairs.push(root.get() + ":" + doubled.get());
+    return root.get() + doubled.get();
+}, root, doubled);
+pairs.length = 0;
+root.set(4);
+println("Bound Property recomputations: " + pairs.join(", ") + ", pair: " + pair.get());
+
+/* Read-only view: it depends on its Property like a Binding, so a value which depends on both is recomputed once. */
+const wrapped = ReadOnlyPropertyWrapper.new(1);
+const wrappedNext = wrapped.asBinding().add(1);
+let wrappedRecomputations = 0;
+const wrappedPair = Binding.new(function()
+{
+    wrappedRecomputations++;
+    return wrapped.readOnly().get() + ":" + wrappedNext.get();
+}, wrapped.readOnly(), wrappedNext);
+wrappedRecomputations = 0;
+wrapped.set(2);
+println("Read-only view recomputations: " + wrappedRecomputations + ", pair: " + wrappedPair.get());
+
+/* Failure: a Binding which throws does not keep the other dependents from being updated. */
+const failing = NumberProperty.new(1);
+const healthy = NumberProperty.new(1);
+Binding.new(function()
+{
+    if (failing.get() > 1)
+        throw new Error("Binding failed");
+    return failing.get();
+}, failing);
+const healthyDoubled = healthy.asBinding().multiply(2);
+try
+{
+    Property.batch(function()
+    {
+        failing.set(2);
+        healthy.set(5);
+    });
+}
+catch (e)
+{
+    println(e.message + ", healthy doubled: " + healthyDoubled.get());
+}
+
+/* Bidirectional: a converter keeps a text and a number in sync, each notified once per change. */
+const age = NumberProperty.new(30);
+const ageText = Property.new("");
+ageText.bindBidirectional(age, { to: Number, from: String });
+let ageTextNotifications = 0;
+ageText.addListener(function()
+{
+    ageTextNotifications++;
+});
+ageText.set("41");
+println("Age: " + age.get() + ", text: " + ageText.get());
+age.set(7);
+println("Age: " + age.get() + ", text: " + ageText.get() + ", text notifications: " + ageTextNotifications);
+ageText.unbindBidirectional(age);
+age.set(8);
+println("Unbound text: " + ageText.get());
+ageText.bindBidirectional(age, { to: Number, from: String });
+age.dispose();
+ageText.set("9");
+println("Text after the age is disposed: " + ageText.get());
+
+/* Lossy converter: a rounded value is not propagated back to the Property it came from. */
+const exact = NumberProperty.new();
+const rounded = NumberProperty.new();
+exact.bindBidirectional(rounded, { to: Math.round, from: function(value)
+{
+    return value;
+} });
+exact.set(1.4);
+println("Exact: " + exact.get() + ", rounded: " + rounded.get());
+
+/* Rejected conversion: a value which the other Property refuses changes neither of them. */
+const level = NumberProperty.new(1, { min: 0, max: 10 });
+const levelText = Property.new("");
+levelText.bindBidirectional(level, { to: Number, from: String });
+try
+{
+    levelText.set("abc");
+}
+catch (e)
+{
+    println(e.message + " Text: " + levelText.get() + ", level: " + level.get());
+}
+
+/* Lazy: changes only invalidate the binding, which is recomputed once it is read. */
+let lazyRecomputations = 0;
+const lazy = Binding.new({
+    compute: function()
+    {
+        lazyRecomputations++;
+        return root.get() * 2;
+    },
+    lazy: true
+}, root);
+lazy.addInvalidationListener(function()
+{
+    println("Lazy binding invalidated");
+});
+lazy.get();
+root.increment();
+root.increment();
+println("Lazy recomputations: " + lazyRecomputations + ", value: " + lazy.get()
+    + ", recomputations: " + lazyRecomputations);
+
+/*
+ * Batch: listeners are notified once, after all of the changes, and a failed batch is rolled back.
+ * The last value set on either Property of a bidirectional pair wins.
+ */
+const x = NumberProperty.new(5);
+const y = NumberProperty.new(10);
+const total = x.asBinding().add(y);
+let batchNotifications = 0;
+total.addListener(function()
+{
+    batchNotifications++;
+});
+let viewNotifications = 0;
+x.readOnly().addListener(function()
+{
+    viewNotifications++;
+});
+Property.batch(function()
+{
+    x.add(50);
+    y.subtract(100);
+});
+println("Batch notifications: " + batchNotifications + ", total: " + total.get());
+try
+{
+    Property.batch(function()
+    {
+        x.set(0);
+        throw new Error("Batch failed");
+    });
+}
+catch (e)
+{
+    println(e.message + ", total rolled back: " + total.get() + ", view notifications: " + viewNotifications);
+}
+const mirrored = Property.new(1);
+const mirror = Property.new(1);
+mirrored.bindBidirectional(mirror);
+Property.batch(function()
+{
+    mirrored.set(4);
+    mirror.set(5);
+});
+println("Last value set in a batch wins, mirrored: " + mirrored.get() + ", mirror: " + mirror.get());
+const batchedTypes = ObservableEnumSet.new(Type);
+batchedTypes.addListener(listener);
+try
+{
+    Property.batch(function()
+    {
+        batchedTypes.add(Type.BOOLEAN);
+        throw new Error("Batch failed");
+    });
+}
+catch (e)
+{
+    println(e.message + ", types rolled back: " + batchedTypes.size());
+}
+
+/* Validation: values are trimmed, and empty names are refused. */
+const name = Property.new("Kevin");
+name.addCoercer(function(value)
+{
+    return value.trim();
+});
+name.addValidator(function(value)
+{
+    if (value.length === 0)
+        return "name must not be empty.";
+});
+name.isValid().addListener(listener);
+try
+{
+    name.set("   ");
+}
+catch (e)
+{
+    println(e.message + " Errors: " + name.errors().get().length);
+}
+name.set("  Tyrrell  ");
+println("Name: " + name.get());
+
+/* Constraints: a percentage is clamped to its range, and a count only holds integers. */
+const percent = NumberProperty.new(50, { min: 0, max: 100, range: "clamp" });
+percent.add(80);
+println("Percent: " + percent.get());
+const restored = Structure.deserialize(Structure.serialize(percent));
+restored.add(-500);
+println("Restored percent: " + restored.get() + ", max: " + restored.getOptions().max);
+const count = NumberProperty.new(5, { min: 0, integer: true });
+try
+{
+    count.divide(2);
+}
+catch (e)
+{
+    println(e.message + " Count: " + count.get());
+}
+
+/* Typed Properties: strings, booleans, and instances of a class. */
+const title = StringProperty.new("  Advanced ", { trim: true });
+title.concat(" JS Objects");
+println("Title: " + title.get() + ", length: " + title.length().get());
+const visible = BooleanProperty.new();
+const shown = visible.and(title.isEmpty().not());
+visible.toggle();
+println("Shown: " + shown.get());
+const selected = ObjectProperty.new(NumberProperty);
+selected.set(percent);
+println("Selected: " + selected.get().get() + " of type " + selected.getType().getName());
+
+/* Disposable group: a member which throws does not keep the others from being disposed. */
+const first = Property.new(1);
+const second = Property.new(2);
+const group = DisposableGroup.new(first, {
+    dispose: function()
+    {
+        throw new Error("Member failed");
+    }
+}, second);
+try
+{
+    group.dispose();
+}
+catch (e)
+{
+    println(e.message + ", all disposed: " + (first.isDisposed() && second.isDisposed() && group.isDisposed()));
+}
+
+/* Enum constant bodies: each constant implements 'apply', but cannot override the final 'symbol'. */
+const Operation = Enum.define({
+    name: "Operation",
+    abstract: [ "apply" ],
+    final: [ "symbol" ],
+    constructor: function(prot, fields, symbol)
+    {
+        fields.symbol = symbol;
+    },
+    publicMembers: function(prot, fields)
+    {
+        return {
+            symbol: function()
+            {
+                return fields.symbol;
+            }
+        };
+    },
+    constants: {
+        PLUS: {
+            args: [ "+" ],
+            publicMembers: function()
+            {
+                return {
+                    apply: function(x, y)
+                    {
+                        return x + y;
+                    }
+                };
+            }
+        },
+        TIMES: {
+            args: [ "*" ],
+            publicMembers: function()
+            {
+                return {
+                    apply: function(x, y)
+                    {
+                        return x * y;
+                    }
+                };
+            }
+        }
+    }
+});
+println("6 " + Operation.TIMES.symbol() + " 3 = " + Operation.TIMES.apply(6, 3));
+try
+{
+    Enum.define({
+        name: "Hacked",
+        final: [ "symbol" ],
+        publicMembers: function()
+        {
+            return {
+                symbol: function()
+                {
+                    return "+";
+                }
+            };
+        },
+        constants: {
+            MINUS: {
+                publicMembers: function()
+                {
+                    return {
+                        symbol: function()
+                        {
+                            return "HACK";
+                        }
+                    };
+                }
+            }
+        }
+    });
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Computed: only the branch which was taken is observed, so changes to the other one are ignored. */
+const useMetric = BooleanProperty.new(true);
+const metres = NumberProperty.new(100);
+const feet = NumberProperty.new(328);
+let distanceRecomputations = 0;
+const distance = Binding.computed(function()
+{
+    distanceRecomputations++;
+    return useMetric.get() ? metres.get() + " m" : feet.get() + " ft";
+});
+feet.set(330);
+println("Distance: " + distance.get() + ", recomputations: " + distanceRecomputations);
+useMetric.set(false);
+metres.set(200);
+feet.set(331);
+println("Distance: " + distance.get() + ", recomputations: " + distanceRecomputations);
+const unobserved = NumberProperty.new(0);
+const partial = Binding.new({
+    compute: function()
+    {
+        return metres.get() + unobserved.get();
+    },
+    lazy: true
+}, metres);
+let partialRecomputations = 0;
+const partialCopy = Binding.computed(function()
+{
+    partialRecomputations++;
+    return partial.get();
+});
+unobserved.set(1);
+println("Recomputations after a value read by a binding changed: " + partialRecomputations + ", value: " + partialCopy.get());
+
+/* Abstract: a subclass of ReadOnlyProperty which does not implement 'get' cannot be constructed. */
+const Unfinished = (function()
+{
+    const module = { };
+
+    const privateStatic = Object.freeze(ReadOnlyProperty.extend(module, {
+        name: "Unfinished"
+    }));
+    const protectedStatic = Object.freeze(privateStatic.protected);
+
+    module.new = function()
+    {
+        return privateStatic.concrete(protectedStatic.new().this);
+    };
+
+    return Object.freeze(module);
+})();
+try
+{
+    Unfinished.new();
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Final: a subclass of Property cannot override 'bind'. */
+const Rebound = (function()
+{
+    const module = { };
+
+    const privateStatic = Object.freeze(Property.extend(module, {
+        name: "Rebound"
+    }));
+    const protectedStatic = privateStatic.protected;
+
+    protectedStatic.new = (function()
+    {
+        const c = protectedStatic.new;
+
+        return function(value)
+        {
+            const prot = c(value);
+            prot.this.bind = function()
+            {
+                println("Rebound.bind");
+            };
+            return Object.freeze(prot);
+        };
+    })();
+    Object.freeze(protectedStatic);
+
+    module.new = function(value)
+    {
+        return privateStatic.concrete(protectedStatic.new(value).this);
+    };
+
+    return Object.freeze(module);
+})();
+try
+{
+    Rebound.new(1);
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Final: 'bind' can neither be deleted nor intercepted by a subclass of Property. */
+try
+{
+    Structure.define({
+        name: "Unbound",
+        extends: Property,
+        constructor: function(prot)
+        {
+            delete prot.this.bind;
+        }
+    }).new(1);
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+try
+{
+    Structure.define({
+        name: "Intercepted",
+        extends: Property,
+        intercept: {
+            bind: function(instance, callback)
+            {
+                return callback;
+            }
+        }
+    });
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Defined classes: super constructor arguments are mapped, and protected members are shared with subclasses. */
+const Counter = Structure.define({
+    name: "Counter",
+    constructor: function(prot, priv, start)
+    {
+        priv.count = start;
+    },
+    protectedMembers: function(prot, priv)
+    {
+        return {
+            step: function()
+            {
+                priv.count++;
+            }
+        };
+    },
+    publicMembers: function(prot, priv)
+    {
+        return {
+            count: function()
+            {
+                return priv.count;
+            }
+        };
+    }
+});
+const DoubleCounter = Structure.define({
+    name: "DoubleCounter",
+    extends: Counter,
+    super: function()
+    {
+        return [ 10 ];
+    },
+    publicMembers: function(prot)
+    {
+        return {
+            tick: function()
+            {
+                prot.super.step();
+                prot.super.step();
+            }
+        };
+    }
+});
+const doubleCounter = DoubleCounter.new();
+doubleCounter.tick();
+println("Counter: " + Counter.new(0).count() + ", double counter: " + doubleCounter.count()
+    + ", step is public: " + (doubleCounter.step !== undefined));
+
+/* Defined abstract classes: a Shape has no public constructor, and its subclasses implement 'area'. */
+const Shape = Structure.define({
+    name: "Shape",
+    abstract: [ "area" ],
+    publicMembers: function(prot)
+    {
+        return {
+            describe: function()
+            {
+                return "Shape of area " + prot.this.area();
+            }
+        };
+    }
+});
+const Square = Structure.define({
+    name: "Square",
+    extends: Shape,
+    constructor: function(prot, priv, side)
+    {
+        priv.side = side;
+    },
+    publicMembers: function(prot, priv)
+    {
+        return {
+            area: function()
+            {
+                return priv.side * priv.side;
+            }
+        };
+    }
+});
+println("Shape has a public constructor: " + (Shape.new !== undefined) + ", " + Square.new(3).describe());
+
+/* Interfaces and mixins: a Widget must implement 'label', and is counted by a mixin. */
+const Labelled = Interface.new({
+    name: "Labelled",
+    members: [ "label" ]
+});
+const Counted = Mixin.new({
+    name: "Counted",
+    constructor: function(prot, state)
+    {
+        state.count = 0;
+    },
+    protectedMembers: function(prot, state)
+    {
+        return {
+            tick: function()
+            {
+                state.count++;
+            }
+        };
+    },
+    publicMembers: function(prot, state)
+    {
+        return {
+            clicks: function()
+            {
+                return state.count;
+            }
+        };
+    }
+});
+const Widget = Structure.define({
+    name: "Widget",
+    implements: [ Labelled ],
+    mixins: [ Counted ],
+    publicMembers: function(prot)
+    {
+        return {
+            label: function()
+            {
+                return "OK";
+            },
+            click: function()
+            {
+                prot.tick();
+            }
+        };
+    }
+});
+const widget = Widget.new();
+widget.click();
+widget.click();
+println("Widget " + widget.label() + " clicked " + widget.clicks() + " times, labelled: "
+    + Labelled.isImplementedBy(widget) + ", a Property is labelled: " + Labelled.isImplementedBy(Property.new()));
+const Unlabelled = Structure.define({
+    name: "Unlabelled",
+    implements: [ Labelled ]
+});
+try
+{
+    Unlabelled.new();
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Reflection: classes describe themselves, and instances know their class. */
+const square = Square.new(2);
+println("Class: " + Structure.classOf(square).getName() + ", superclass: " + Square.getSuperclass().getName()
+    + ", members: " + Square.getDeclaredMembers().join(" ") + ", recorded: " + Structure.classes().includes(Square)
+    + ", string: " + square);
+
+/* Equality: Points with the same coordinates are equal, in collections and Properties alike. */
+const Point = Structure.define({
+    name: "Point",
+    constructor: function(prot, priv, x, y)
+    {
+        priv.x = x;
+        priv.y = y;
+    },
+    publicMembers: function(prot, priv)
+    {
+        return {
+            x: function()
+            {
+                return priv.x;
+            },
+            y: function()
+            {
+                return priv.y;
+            },
+            equals: function(other)
+            {
+                return Point.hasInstance(other) && other.x() === priv.x && other.y() === priv.y;
+            },
+            hashCode: function()
+            {
+                return priv.x * 31 + priv.y;
+            }
+        };
+    }
+});
+const points = StructureSet.new([ Point.new(0, 0), Point.new(0, 0), Point.new(1, 2) ]);
+const names = StructureMap.new();
+names.set(Point.new(0, 0), "origin");
+const spot = Property.new(Point.new(1, 1), Structure.equals);
+let spotNotifications = 0;
+spot.addListener(function()
+{
+    spotNotifications++;
+});
+spot.set(Point.new(1, 1));
+println("Points: " + points.size() + ", name: " + names.get(Point.new(0, 0))
+    + ", spot notifications: " + spotNotifications);
+
+/* Serialization: shared references, cycles, Enum constants and Property values survive a round trip. */
+Structure.serializable(Point, {
+    tag: "Point",
+    toJSON: function(point, write)
+    {
+        return [ write(point.x()), write(point.y()) ];
+    },
+    fromJSON: function(data, read)
+    {
+        return Point.new(read(data[0]), read(data[1]));
+    }
+});
+const corner = Point.new(3, 4);
+const head = Property.new();
+const tail = Property.new(head);
+head.set(tail);
+const graph = Structure.deserialize(Structure.serialize({
+    corners: [ corner, corner ],
+    type: Type.NUMBER,
+    ring: head
+}));
+println("Shared: " + (graph.corners[0] === graph.corners[1]) + ", corner: " + graph.corners[0].x() + "," + graph.corners[0].y()
+    + ", type: " + (graph.type === Type.NUMBER) + ", cycle: " + (graph.ring.get().get() === graph.ring));
+
+/* Enum lookup: constants are found by name and ordinal, and iterate in order. */
+const typeNames = [ ];
+for (const type of Type)
+    typeNames.push(type.name());
+println("Types: " + typeNames.length + ", first: " + Type.get(0) + ", NUMBER: " + (Type.valueOf("NUMBER") === Type.NUMBER)
+    + ", has VOID: " + Type.has("VOID") + ", NUMBER before OBJECT: " + (Type.NUMBER.compareTo(Type.OBJECT) < 0));
+/* 'valueOf' shadows that of Object.prototype, so without a name it still returns the module. */
+println("Type as a primitive: " + (Type.valueOf() === Type) + ", " + ("" + Type));
+
+/* EnumSet and EnumMap: collections of constants, indexed by ordinal. */
+const primitives = EnumSet.of(Type.NUMBER, Type.STRING, Type.BOOLEAN);
+const others = EnumSet.complementOf(primitives);
+const sizes = EnumMap.new(Type);
+sizes.set(Type.NUMBER, 8);
+sizes.set(Type.BOOLEAN, 1);
+println("Primitives: " + primitives.size() + ", others: " + others.size() + ", all: " + EnumSet.allOf(Type).size()
+    + ", NUMBER size: " + sizes.get(Type.NUMBER) + ", has STRING: " + sizes.has(Type.STRING));
+const observed = ObservableEnumSet.new(Type);
+let observedChanges = 0;
+observed.addListener(function()
+{
+    observedChanges++;
+});
+observed.add(Type.NUMBER);
+observed.add(Type.STRING);
+observed.add(Type.STRING);
+println("Observed set size: " + observed.size() + ", notifications: " + observedChanges);
+observed.get().add(Type.BOOLEAN);
+println("Copy changed, observed set size: " + observed.size() + ", value size: " + observed.get().size());
+
+/* Match: every constant must be handled, either by name or by the default case. */
+const describeType = function(value)
+{
+    return Type.match(Type.of(value), {
+        NUMBER: function()
+        {
+            return "a number";
+        },
+        STRING: function()
+        {
+            return "a string";
+        },
+        _: function(type)
+        {
+            return "a " + type.name().toLowerCase();
+        }
+    });
+};
+println("Described: " + describeType(1) + ", " + describeType("s") + ", " + describeType(true));
+try
+{
+    Type.match(Type.NUMBER, {
+        NUMBER: function()
+        {
+            return 1;
+        }
+    });
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Type.of: null, bigint, arrays and Structures have their own types. */
+println("Types of: " + [ null, BigInt(1), [ ], Property.new(), { } ].map(function(value)
+{
+    return Type.of(value).name();
+}).join(" ") + ", a NumberProperty is a Property: " + Type.instanceOf(NumberProperty.new(), Property)
+    + ", and Observable: " + Type.instanceOf(NumberProperty.new(), Observable));
+
+/* Contracts: arguments and return values are checked against their types. */
+const half = Contract.method("half", {
+    params: { value: Contract.union(Type.NUMBER, Type.STRING) },
+    returns: Type.NUMBER
+}, function(value)
+{
+    return Type.of(value) === Type.STRING ? value + " / 2" : value / 2;
+});
+println("Half: " + half(5) + ", contracts enabled: " + Contract.isEnabled());
+try
+{
+    half(null);
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+try
+{
+    half("five");
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Errors: every error of the library is a StructureError, named after its class. */
+const boundTarget = Property.new();
+boundTarget.bind(Property.new(1));
+try
+{
+    boundTarget.set(2);
+}
+catch (e)
+{
+    println(e.name + " is an IllegalStateError: " + (e instanceof IllegalStateError) + ", a StructureError: "
+        + (e instanceof StructureError) + ", an Error: " + (e instanceof Error));
+}
+try
+{
+    requireArgument(false, "Tester.check", "value must be positive.");
+}
+catch (e)
+{
+    println(e.name + ": " + e.message);
+}
+
+/* Weak binding: with 'node --expose-gc', a binding which nobody references stops recomputing once collected. */
+if (typeof gc === "function")
+{
+    const weakSource = NumberProperty.new(1);
+    let weakRecomputations = 0;
+    (function()
+    {
+        Binding.new({
+            compute: function()
+            {
+                weakRecomputations++;
+                return weakSource.get() * 2;
+            },
+            weak: true
+        }, weakSource);
+    })();
+    /* An expression which is only held by its listener subscribes strongly, and is not collected. */
+    let listenedNotifications = 0;
+    (function()
+    {
+        weakSource.asBinding().add(1).addListener(function()
+        {
+            listenedNotifications++;
+        });
+    })();
 
-println("==== Ending tests ====");
+    /* Weak references are only cleared once the current job has ended. */
+    setTimeout(function()
+    {
+        gc();
+        const before = weakRecomputations;
+        weakSource.increment();
+        println("Weak binding collected: " + (weakRecomputations === before)
+            + ", listened expression notified: " + (listenedNotifications === 1));
+        println("==== Ending tests ====");
+    }, 0);
+}
+else println("==== Ending tests ====");